@@ -0,0 +1,314 @@
+// Computer opponent - picks a claim, or in the twist variant a twist, for an engine state.
+// The stronger levels run an alpha-beta search on a scratch copy of the board.
+
+import { getLegalMoves, getLegalTwists, isPlayableCell, otherPlayer, usesTwists } from './engine.js';
+import { TWIST_NAMES, getTwistCells, inverseTwist } from './twists.js';
+
+export const AI_LEVELS = [
+    { id: 'random', label: 'Random' }, // Any legal move
+    { id: 'easy', label: 'Easy' }, // Wins or blocks when it sees it, otherwise random
+    { id: 'medium', label: 'Medium' }, // Shallow alpha-beta search within a short time budget
+    { id: 'hard', label: 'Hard' } // Deep alpha-beta search within a time budget
+];
+
+const WIN_SCORE = 1000000;
+const LINE_SCORE = 1000; // A completed line in a scoring game
+const MEDIUM_MAX_DEPTH = 2;
+const MEDIUM_TIME_LIMIT = 300; // ms
+const HARD_MAX_DEPTH = 12;
+const HARD_TIME_LIMIT = 800; // ms
+
+// Returns a cell index to claim, or in the twist variant possibly a twist name
+export function chooseMove(state, level = 'hard', random = Math.random) {
+    const claims = getLegalMoves(state);
+    const moves = [...claims, ...getLegalTwists(state)];
+    if (claims.length === 0) return null;
+
+    const ctx = createSearchContext(state, moves, random);
+    const player = state.currentPlayer;
+
+    if (level === 'random') {
+        return pickRandom(moves, random);
+    }
+
+    if (level === 'easy') {
+        // Twists only when one decides the game for us
+        const twistWins = getLegalTwists(state).filter(name => getTwistResult(ctx, twistBoard(ctx, name), player) === 1);
+        if (twistWins.length > 0) return pickRandom(twistWins, random);
+
+        // Misère - just stay clear of completing our own line
+        if (ctx.goal === 'misere') {
+            const safe = claims.filter(move => !completesLine(ctx, move, player));
+            return pickRandom(safe.length > 0 ? safe : claims, random);
+        }
+
+        const wins = findWinningCells(ctx, player).filter(move => claims.includes(move));
+        if (wins.length > 0) return pickRandom(wins, random);
+
+        const blocks = findWinningCells(ctx, otherPlayer(player)).filter(move => claims.includes(move));
+        if (blocks.length > 0) return pickRandom(blocks, random);
+
+        return pickRandom(claims, random);
+    }
+
+    if (level === 'medium') {
+        return deepenSearch(ctx, player, MEDIUM_MAX_DEPTH, MEDIUM_TIME_LIMIT);
+    }
+
+    return deepenSearch(ctx, player, HARD_MAX_DEPTH, HARD_TIME_LIMIT);
+}
+
+// Iterative deepening, keeping the deepest fully searched result - the time limit keeps
+// the page responsive on big boards, where even two plies can take seconds
+function deepenSearch(ctx, player, maxDepth, timeLimit) {
+    ctx.deadline = Date.now() + timeLimit;
+    let best = searchBestMove(ctx, player, 1);
+    for (let depth = 2; depth <= Math.min(maxDepth, ctx.rootMoves.length); depth++) {
+        const result = searchBestMove(ctx, player, depth);
+        if (result.aborted) break;
+        best = result;
+        if (isForced(best.score)) break; // Forced result found
+    }
+    return best.move;
+}
+
+function createSearchContext(state, rootMoves, random) {
+    // Lines passing through each cell, so a move only checks the lines it touches
+    const cellLines = state.board.map(() => []);
+    state.lines.forEach(line => {
+        line.forEach(index => cellLines[index].push(line));
+    });
+
+    return {
+        state: state, // Rules for which free cells are playable
+        goal: state.goal,
+        rootMoves: rootMoves, // Legal first moves - the search below only checks playable cells
+        board: state.board.slice(),
+        // Twist variant - [from, to] cells of each twist, and the last twist for the ko rule
+        twistCells: usesTwists(state) ? new Map(TWIST_NAMES.map(name => [name, getTwistCells(name, state.size)])) : null,
+        lastTwist: state.moves.length > 0 ? state.moves[state.moves.length - 1].twist || null : null,
+        lines: state.lines,
+        cellLines: cellLines,
+        random: random,
+        deadline: Infinity,
+        nodes: 0
+    };
+}
+
+function pickRandom(list, random) {
+    return list[Math.floor(random() * list.length)];
+}
+
+function completesLine(ctx, index, player) {
+    return ctx.cellLines[index].some(line => line.every(cell => cell === index || ctx.board[cell] === player));
+}
+
+function findWinningCells(ctx, player) {
+    const cells = [];
+    for (let i = 0; i < ctx.board.length; i++) {
+        if (isPlayableCell(ctx.state, i, ctx.board) && completesLine(ctx, i, player)) cells.push(i);
+    }
+    return cells;
+}
+
+function evaluate(ctx, player) {
+    // Open lines score by how many marks they hold, from the side to move's point of view.
+    // Completed lines only remain on the board in scoring games
+    const opponent = otherPlayer(player);
+    let score = 0;
+
+    ctx.lines.forEach(line => {
+        let mine = 0;
+        let theirs = 0;
+        line.forEach(index => {
+            if (ctx.board[index] === player) mine++;
+            else if (ctx.board[index] === opponent) theirs++;
+        });
+
+        if (mine === line.length) score += LINE_SCORE;
+        else if (theirs === line.length) score -= LINE_SCORE;
+        else if (mine > 0 && theirs === 0) score += Math.pow(10, mine - 1);
+        else if (theirs > 0 && mine === 0) score -= Math.pow(10, theirs - 1);
+    });
+
+    // In misère every line we build up is a liability
+    return ctx.goal === 'misere' ? -score : score;
+}
+
+function getPlayableCells(ctx) {
+    const moves = [];
+    for (let i = 0; i < ctx.board.length; i++) {
+        if (isPlayableCell(ctx.state, i, ctx.board)) moves.push(i);
+    }
+    return moves;
+}
+
+function orderMoves(ctx, player) {
+    const ordered = orderClaims(ctx, player);
+    // Twists go after the claims, unless a claim wins or the board is full. They can
+    // still save a position where every claim loses
+    if (!ctx.twistCells || ordered.winning || getPlayableCells(ctx).length === 0) return ordered;
+
+    const twists = TWIST_NAMES.filter(name => !ctx.lastTwist || name !== inverseTwist(ctx.lastTwist));
+    if (ordered.losing) return { moves: twists, winning: false, losing: twists.length === 0 };
+    return { moves: [...ordered.moves, ...twists], winning: false, losing: false };
+}
+
+function orderClaims(ctx, player) {
+    if (ctx.goal === 'misere') return orderMisereMoves(ctx, player);
+    if (ctx.goal === 'score') return orderScoringMoves(ctx, player);
+
+    // Forced moves first: our own wins, then blocks - with a double threat against us any block loses anyway
+    const wins = findWinningCells(ctx, player);
+    if (wins.length > 0) return { moves: wins.slice(0, 1), winning: true, losing: false };
+
+    const blocks = findWinningCells(ctx, otherPlayer(player));
+    if (blocks.length > 0) return { moves: blocks, winning: false, losing: false };
+
+    // Otherwise try the cells that sit on the most lines first
+    const moves = getPlayableCells(ctx);
+    moves.sort((a, b) => ctx.cellLines[b].length - ctx.cellLines[a].length);
+    return { moves: moves, winning: false, losing: false };
+}
+
+function orderMisereMoves(ctx, player) {
+    // Completing our own line loses - when every move does, the position is lost
+    const moves = getPlayableCells(ctx);
+    const safe = moves.filter(move => !completesLine(ctx, move, player));
+    if (safe.length === 0) return { moves: moves, winning: false, losing: moves.length > 0 };
+
+    // Quiet cells on few lines first
+    safe.sort((a, b) => ctx.cellLines[a].length - ctx.cellLines[b].length);
+    return { moves: safe, winning: false, losing: false };
+}
+
+function orderScoringMoves(ctx, player) {
+    // Nothing ends early - take our lines first, then spoil theirs, then the busiest cells.
+    // Each cell is ranked once up front, the sort runs on every node of the search
+    const moves = getPlayableCells(ctx);
+    const ranks = new Map(moves.map(move => {
+        if (completesLine(ctx, move, player)) return [move, 2];
+        if (completesLine(ctx, move, otherPlayer(player))) return [move, 1];
+        return [move, 0];
+    }));
+    moves.sort((a, b) => ranks.get(b) - ranks.get(a) || ctx.cellLines[b].length - ctx.cellLines[a].length);
+    return { moves: moves, winning: false, losing: false };
+}
+
+function finalScore(ctx, player, ply) {
+    // Full board - a scoring game goes to whoever completed more lines, anything else is a draw
+    if (ctx.goal !== 'score') return 0;
+
+    const opponent = otherPlayer(player);
+    let difference = 0;
+    ctx.lines.forEach(line => {
+        if (line.every(index => ctx.board[index] === player)) difference++;
+        else if (line.every(index => ctx.board[index] === opponent)) difference--;
+    });
+    return Math.sign(difference) * (WIN_SCORE - ply);
+}
+
+function negamax(ctx, player, depth, alpha, beta, ply) {
+    if (++ctx.nodes % 256 === 0 && Date.now() > ctx.deadline) {
+        throw new SearchTimeout();
+    }
+
+    const { moves, winning, losing } = orderMoves(ctx, player);
+    if (moves.length === 0) return finalScore(ctx, player, ply);
+    if (winning) return WIN_SCORE - ply;
+    if (losing) return -(WIN_SCORE - ply);
+    if (depth === 0) return evaluate(ctx, player);
+
+    let best = -Infinity;
+    for (const move of moves) {
+        const score = scoreMove(ctx, move, player, depth, alpha, beta, ply);
+        if (score > best) best = score;
+        if (best > alpha) alpha = best;
+        if (alpha >= beta) break;
+    }
+    return best;
+}
+
+function isForced(score) {
+    return Math.abs(score) >= WIN_SCORE - HARD_MAX_DEPTH;
+}
+
+function searchBestMove(ctx, player, depth) {
+    const ordered = orderMoves(ctx, player);
+    if (ordered.winning) return { move: ordered.moves[0], score: WIN_SCORE, aborted: false };
+    if (ordered.losing) return { move: pickRandom(ordered.moves, ctx.random), score: -WIN_SCORE, aborted: false };
+
+    // Only moves the rules allow here, e.g. no center on move one
+    const moves = ordered.moves.filter(move => ctx.rootMoves.includes(move));
+
+    let bestScore = -Infinity;
+    let bestMoves = [];
+
+    try {
+        for (const move of moves) {
+            const score = scoreMove(ctx, move, player, depth, bestScore - 1, Infinity, 0);
+            // Twists come after the claims and only replace them to force a result or escape one -
+            // twisting just for a better evaluation would let the computer stall forever
+            const twistOverClaim = typeof move === 'string' && typeof bestMoves[0] === 'number';
+            if (twistOverClaim && !isForced(score) && !isForced(bestScore)) continue;
+
+            if (score > bestScore) {
+                bestScore = score;
+                bestMoves = [move];
+            } else if (score === bestScore && !twistOverClaim) {
+                bestMoves.push(move);
+            }
+        }
+    } catch (error) {
+        if (!(error instanceof SearchTimeout)) throw error;
+        return { move: bestMoves[0], score: bestScore, aborted: true };
+    }
+
+    return { move: pickRandom(bestMoves, ctx.random), score: bestScore, aborted: false };
+}
+
+// Plays a claim or a twist on the search board, scores it for the mover and takes it back
+function scoreMove(ctx, move, player, depth, alpha, beta, ply) {
+    const board = ctx.board;
+    const lastTwist = ctx.lastTwist;
+    try {
+        if (typeof move === 'string') {
+            ctx.board = twistBoard(ctx, move);
+            ctx.lastTwist = move;
+
+            const result = getTwistResult(ctx, ctx.board, player);
+            if (result !== null) return result * (WIN_SCORE - ply);
+        } else {
+            board[move] = player;
+            ctx.lastTwist = null;
+        }
+        return -negamax(ctx, otherPlayer(player), depth - 1, -beta, -alpha, ply + 1);
+    } finally {
+        if (typeof move !== 'string') board[move] = 0;
+        ctx.board = board;
+        ctx.lastTwist = lastTwist;
+    }
+}
+
+function twistBoard(ctx, name) {
+    const board = ctx.board.slice();
+    ctx.twistCells.get(name).forEach(([from, to]) => {
+        board[to] = ctx.board[from];
+    });
+    return board;
+}
+
+// A twist can complete lines for either player: 1 when that wins the game for the mover,
+// -1 when it loses, 0 for lines on both sides, null while the game goes on
+function getTwistResult(ctx, board, player) {
+    if (ctx.goal === 'score') return null;
+
+    const hasLine = owner => ctx.lines.some(line => line.every(index => board[index] === owner));
+    const mine = hasLine(player);
+    const theirs = hasLine(otherPlayer(player));
+    if (mine && theirs) return 0;
+    if (!mine && !theirs) return null;
+    return mine === (ctx.goal !== 'misere') ? 1 : -1;
+}
+
+class SearchTimeout extends Error {}
@@ -0,0 +1,7 @@
+// Runs analyzeGame off the main thread for the replay viewer, see startAnalysis in script.js
+
+import { analyzeGame } from './analysis.js';
+
+self.onmessage = event => {
+    self.postMessage(analyzeGame(event.data));
+};
@@ -0,0 +1,232 @@
+// Post-game analysis - marks every move of a game and finds where forced wins first appeared.
+// The solver proves wins and losses within SOLVE_DEPTH plies; a position it can't settle
+// within its node or time budget is left unknown rather than guessed.
+
+import { createGame, applyMove, applyTwist, getLegalMoves, isGameOver, isPlayableCell, otherPlayer } from './engine.js';
+
+// 'winning' - wins, or keeps or creates a forced win
+// 'forced'  - the only move that doesn't lose straight away, e.g. blocking a line
+// 'blunder' - hands the opponent a forced win, or lets one's own forced win slip
+// 'neutral' - anything else
+export const MOVE_LABELS = ['winning', 'forced', 'blunder', 'neutral'];
+
+const SOLVE_DEPTH = 7; // plies
+const NODE_BUDGET = 20000; // per position
+const TIME_LIMIT = 2000; // ms for the whole game
+
+export function isAnalyzable(state) {
+    // The solver only claims cells - twists and the scoring goal would need a different search
+    return state.goal !== 'score' && state.variant !== 'twist';
+}
+
+export function analyzeGame(state) {
+    const positions = replayPositions(state);
+    const supported = isAnalyzable(state);
+    const solver = createSolver(state);
+
+    // Value of each position for the side to move: 1 won, -1 lost, 0 open, null unknown.
+    // Solved from the end back - late positions decide most moves and settle the earlier searches
+    const values = positions.map(() => null);
+    const deadline = Date.now() + TIME_LIMIT;
+    let solvedFrom = positions.length;
+    for (let ply = positions.length - 1; supported && ply >= 0 && Date.now() < deadline; ply--) {
+        values[ply] = solvePosition(solver, positions[ply]);
+        solvedFrom = ply;
+    }
+
+    // First position where either player had a forced win, by ply (0 is the empty board)
+    const firstForcedWin = { 1: null, 2: null };
+    values.forEach((value, ply) => {
+        if (!value) return;
+        const player = value > 0 ? positions[ply].currentPlayer : otherPlayer(positions[ply].currentPlayer);
+        if (firstForcedWin[player] === null) firstForcedWin[player] = ply;
+    });
+
+    const moves = state.moves.map((move, i) => ({
+        ply: i + 1,
+        player: move.player,
+        index: move.twist ? null : move.index,
+        twist: move.twist || null,
+        label: supported ? labelMove(positions[i], positions[i + 1], values[i], values[i + 1], move) : 'neutral'
+    }));
+
+    return {
+        supported: supported,
+        moves: moves,
+        firstForcedWin: firstForcedWin,
+        solvedFrom: solvedFrom // Earlier positions ran out of time and weren't searched
+    };
+}
+
+function replayPositions(state) {
+    const firstPlayer = state.moves.length > 0 ? state.moves[0].player : state.currentPlayer;
+    let position = createGame({
+        size: state.size,
+        winLength: state.winLength,
+        variant: state.variant,
+        goal: state.goal,
+        noCenterOpening: state.noCenterOpening,
+        firstPlayer: firstPlayer
+    });
+
+    const positions = [position];
+    state.moves.forEach(move => {
+        position = move.twist ? applyTwist(position, move.twist) : applyMove(position, move.index);
+        positions.push(position);
+    });
+    return positions;
+}
+
+function labelMove(before, after, valueBefore, valueAfter, move) {
+    const player = move.player;
+
+    if (isGameOver(after)) {
+        if (after.winner === player) return 'winning';
+        if (after.winner === 0) return 'neutral';
+        // Lost on the spot - only excusable when every move lost
+        return valueBefore === -1 ? 'forced' : 'blunder';
+    }
+
+    // valueAfter is from the opponent's side - without both values only the direct checks below apply
+    const solved = valueBefore !== null && valueAfter !== null;
+    if (solved && valueAfter === -1) return 'winning';
+    if (solved && valueAfter === 1 && valueBefore !== -1) return 'blunder';
+    if (solved && valueBefore === 1) return 'blunder';
+
+    const legal = getLegalMoves(before);
+    if (legal.length === 1) return 'forced';
+    if (before.goal === 'misere') {
+        const safe = legal.filter(index => !completesLine(before, before.board, index, player));
+        return safe.length === 1 && safe[0] === move.index ? 'forced' : 'neutral';
+    }
+
+    const opponent = otherPlayer(player);
+    const blocks = legal.filter(index => completesLine(before, before.board, index, opponent));
+    if (blocks.includes(move.index)) return 'forced';
+    // Leaving the only open threat unblocked loses on the next move, unless the game was already lost
+    return blocks.length === 1 && valueBefore !== -1 ? 'blunder' : 'neutral';
+}
+
+function completesLine(state, board, index, player) {
+    return state.lines.some(line =>
+        line.includes(index) && line.every(cell => cell === index || board[cell] === player)
+    );
+}
+
+// Solver - depth-limited negamax over claims with a shared table of settled positions.
+// Values are 1 won, -1 lost, 0 drawn and null when the depth ran out before the position settled
+
+function createSolver(state) {
+    // Lines passing through each cell, as in ai.js
+    const cellLines = state.board.map(() => []);
+    state.lines.forEach(line => {
+        line.forEach(index => cellLines[index].push(line));
+    });
+
+    return {
+        goal: state.goal,
+        cellLines: cellLines,
+        table: new Map(), // board + player to move -> { value, depth }
+        state: null, // Position being solved, for isPlayableCell
+        board: null,
+        nodes: 0
+    };
+}
+
+function solvePosition(solver, position) {
+    if (isGameOver(position)) return 0;
+
+    solver.state = position;
+    solver.board = position.board.slice();
+    solver.nodes = 0;
+    try {
+        return solve(solver, position.currentPlayer, SOLVE_DEPTH);
+    } catch (error) {
+        if (!(error instanceof SolveBudgetExceeded)) throw error;
+        return null;
+    }
+}
+
+function solverCompletes(solver, index, player) {
+    return solver.cellLines[index].some(line =>
+        line.every(cell => cell === index || solver.board[cell] === player)
+    );
+}
+
+function solve(solver, player, depth) {
+    if (++solver.nodes > NODE_BUDGET) {
+        throw new SolveBudgetExceeded();
+    }
+
+    const key = solver.board.join('') + player;
+    const known = solver.table.get(key);
+    if (known && (known.value !== null || known.depth >= depth)) return known.value;
+
+    const value = solver.goal === 'misere' ? solveMisere(solver, player, depth) : solveLine(solver, player, depth);
+    solver.table.set(key, { value: value, depth: depth });
+    return value;
+}
+
+function getPlayable(solver, depth) {
+    // The position being solved takes its moves from the engine, so opening rules like no center
+    // on move one apply - every position below it already has a move played
+    if (depth === SOLVE_DEPTH) return getLegalMoves(solver.state);
+
+    const cells = [];
+    for (let i = 0; i < solver.board.length; i++) {
+        if (isPlayableCell(solver.state, i, solver.board)) cells.push(i);
+    }
+    return cells;
+}
+
+function solveLine(solver, player, depth) {
+    const playable = getPlayable(solver, depth);
+    if (playable.length === 0) return 0; // Board full - draw
+    if (playable.some(index => solverCompletes(solver, index, player))) return 1;
+
+    // Two open threats can't both be blocked
+    const opponent = otherPlayer(player);
+    const threats = playable.filter(index => solverCompletes(solver, index, opponent));
+    if (threats.length >= 2) return -1;
+    if (depth <= 1) return null;
+
+    // A single threat must be blocked, otherwise try the busiest cells first
+    const candidates = threats.length === 1 ? threats : playable.sort((a, b) => solver.cellLines[b].length - solver.cellLines[a].length);
+    return searchMoves(solver, player, depth, candidates);
+}
+
+function solveMisere(solver, player, depth) {
+    const playable = getPlayable(solver, depth);
+    if (playable.length === 0) return 0;
+
+    // Completing our own line loses - with nothing else left, the position is lost
+    const safe = playable.filter(index => !solverCompletes(solver, index, player));
+    if (safe.length === 0) return -1;
+    if (depth <= 1) return null;
+
+    return searchMoves(solver, player, depth, safe);
+}
+
+function searchMoves(solver, player, depth, candidates) {
+    let drawn = false;
+    let unsettled = false;
+    for (const move of candidates) {
+        solver.board[move] = player;
+        let value;
+        try {
+            value = solve(solver, otherPlayer(player), depth - 1);
+        } finally {
+            solver.board[move] = 0;
+        }
+
+        // The opponent's value - their loss is our win
+        if (value === -1) return 1;
+        if (value === null) unsettled = true;
+        if (value === 0) drawn = true;
+    }
+    // An unsettled reply might still win, so only a fully searched position is drawn or lost
+    if (unsettled) return null;
+    return drawn ? 0 : -1;
+}
+
+class SolveBudgetExceeded extends Error {}
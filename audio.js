@@ -0,0 +1,88 @@
+// Sound effects - synthesized with the Web Audio API, so there are no sound files to load.
+// Browsers only start audio after a user gesture; the context is created on the first sound
+// and resumed on later ones, so sounds played before the first click are simply dropped.
+
+const PLAYER_TONES = { 1: 659.25, 2: 440 }; // Hz - E5 and A4, a fourth apart
+const THREAT_TONE = 880; // Hz
+const SWEEP_RANGE = [220, 880]; // Hz, rising over the center-cube fade
+const PULSE_TONES = [523.25, 392]; // Hz - alternates with the win flash's two colors
+
+let context = null;
+let output = null; // Master gain, carries the volume
+let settings = { muted: false, volume: 0.6 };
+
+export function getSoundSettings() {
+    return { ...settings };
+}
+
+// Takes a saved { muted, volume } and fills anything missing or invalid with the defaults
+export function setSoundSettings(saved) {
+    const volume = saved && typeof saved.volume === 'number' ? Math.min(Math.max(saved.volume, 0), 1) : 0.6;
+    settings = { muted: Boolean(saved && saved.muted), volume: volume };
+    if (output) output.gain.value = getOutputLevel();
+}
+
+function getOutputLevel() {
+    return settings.muted ? 0 : settings.volume;
+}
+
+function getContext() {
+    if (settings.muted || settings.volume === 0) return null;
+
+    if (!context) {
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        if (!AudioContextClass) return null;
+        context = new AudioContextClass();
+        output = context.createGain();
+        output.gain.value = getOutputLevel();
+        output.connect(context.destination);
+    }
+    if (context.state === 'suspended') context.resume();
+    return context;
+}
+
+// One enveloped oscillator - a quick attack, then an exponential fade over duration seconds
+function playTone({ frequency, endFrequency = frequency, type = 'sine', duration, level, delay = 0 }) {
+    const audio = getContext();
+    if (!audio) return;
+
+    const start = audio.currentTime + delay;
+    const oscillator = audio.createOscillator();
+    const envelope = audio.createGain();
+    oscillator.type = type;
+    oscillator.frequency.setValueAtTime(frequency, start);
+    if (endFrequency !== frequency) {
+        oscillator.frequency.exponentialRampToValueAtTime(endFrequency, start + duration);
+    }
+
+    envelope.gain.setValueAtTime(0.0001, start);
+    envelope.gain.exponentialRampToValueAtTime(level, start + Math.min(0.02, duration / 4));
+    envelope.gain.exponentialRampToValueAtTime(0.0001, start + duration);
+
+    oscillator.connect(envelope);
+    envelope.connect(output);
+    oscillator.start(start);
+    oscillator.stop(start + duration + 0.05);
+}
+
+export function playClaim(player) {
+    // Player 1 a bright triangle, player 2 a softer, lower sine
+    playTone({ frequency: PLAYER_TONES[player], type: player === 1 ? 'triangle' : 'sine', duration: 0.18, level: 0.5 });
+}
+
+// Rising sweep that lasts as long as the center-cube fade (duration in ms)
+export function playSweep(duration) {
+    const seconds = duration / 1000;
+    playTone({ frequency: SWEEP_RANGE[0], endFrequency: SWEEP_RANGE[1], type: 'sawtooth', duration: seconds, level: 0.15 });
+}
+
+// One beat of the win flash - phase 0 or 1 for the flash's two colors, fading with each beat
+export function playPulse(phase, beat) {
+    playTone({ frequency: PULSE_TONES[phase], type: 'square', duration: 0.12, level: 0.2 / (1 + beat * 0.5) });
+}
+
+// Two short blips when someone gets one move away from a line, after the claim's tone
+export function playThreat() {
+    playTone({ frequency: THREAT_TONE, type: 'sine', duration: 0.08, level: 0.35, delay: 0.15 });
+    playTone({ frequency: THREAT_TONE, type: 'sine', duration: 0.08, level: 0.35, delay: 0.26 });
+}
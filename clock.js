@@ -0,0 +1,100 @@
+// Game clocks - chess-style time limits for the two players.
+// Every function takes the current time in ms (Date.now()) and returns a new clocks object.
+// A player whose remaining time reaches 0 has lost on time, see applyTimeout.
+
+// perMove - a fresh allowance every turn, perGame - one bank for the whole game,
+// increment - added to the bank after each move
+export const CLOCK_PRESETS = [
+    { id: 'off', label: 'No clock' },
+    { id: 'move-10', label: '10 s per move', perMove: 10000 },
+    { id: 'move-30', label: '30 s per move', perMove: 30000 },
+    { id: 'game-3', label: '3 min per game', perGame: 180000 },
+    { id: 'game-5', label: '5 min per game', perGame: 300000 },
+    { id: 'game-3-2', label: '3 min + 2 s per move', perGame: 180000, increment: 2000 }
+];
+
+export function getClockPreset(id) {
+    return CLOCK_PRESETS.find(preset => preset.id === id) || CLOCK_PRESETS[0];
+}
+
+export function createClocks(presetId, remaining = null) {
+    const preset = getClockPreset(presetId);
+    const start = preset.perGame || preset.perMove || 0;
+    return {
+        preset: preset.id,
+        remaining: remaining ? { 1: remaining[1], 2: remaining[2] } : { 1: start, 2: start },
+        player: null, // Whose clock is on, null before the first move and after the game
+        since: null, // When the running clock last started, null while stopped or paused
+        pausedBy: [] // Reasons the running clock is held, e.g. 'fade' or 'hidden'
+    };
+}
+
+export function isClockOn(clocks) {
+    return clocks.preset !== 'off';
+}
+
+export function getRemaining(clocks, player, now) {
+    const elapsed = clocks.player === player && clocks.since !== null ? now - clocks.since : 0;
+    return Math.max(clocks.remaining[player] - elapsed, 0);
+}
+
+// Stops the running clock, crediting the increment to the player who just moved in time
+export function endTurn(clocks, now) {
+    if (clocks.player === null) return clocks;
+
+    const preset = getClockPreset(clocks.preset);
+    const player = clocks.player;
+    const left = getRemaining(clocks, player, now);
+    return {
+        ...clocks,
+        remaining: { ...clocks.remaining, [player]: left > 0 ? left + (preset.increment || 0) : 0 },
+        player: null,
+        since: null
+    };
+}
+
+export function startTurn(clocks, player, now) {
+    if (!isClockOn(clocks)) return clocks;
+
+    const preset = getClockPreset(clocks.preset);
+    const stopped = endTurn(clocks, now);
+    const remaining = preset.perMove ? { ...stopped.remaining, [player]: preset.perMove } : stopped.remaining;
+    return {
+        ...stopped,
+        remaining: remaining,
+        player: player,
+        since: clocks.pausedBy.length > 0 ? null : now
+    };
+}
+
+export function pauseClocks(clocks, reason, now) {
+    if (clocks.pausedBy.includes(reason)) return clocks;
+
+    const held = { ...clocks, pausedBy: [...clocks.pausedBy, reason] };
+    if (clocks.since === null) return held;
+    return {
+        ...held,
+        remaining: { ...clocks.remaining, [clocks.player]: getRemaining(clocks, clocks.player, now) },
+        since: null
+    };
+}
+
+export function resumeClocks(clocks, reason, now) {
+    const pausedBy = clocks.pausedBy.filter(other => other !== reason);
+    const running = pausedBy.length === 0 && clocks.player !== null;
+    return { ...clocks, pausedBy: pausedBy, since: running && clocks.since === null ? now : clocks.since };
+}
+
+// The player whose time has run out, or null
+export function findFlagged(clocks, now) {
+    if (clocks.player === null || getRemaining(clocks, clocks.player, now) > 0) return null;
+    return clocks.player;
+}
+
+// "4:05", or "8.3" in the last ten seconds
+export function formatClock(ms) {
+    if (ms < 10000) return (Math.floor(ms / 100) / 10).toFixed(1);
+
+    const seconds = Math.ceil(ms / 1000);
+    return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
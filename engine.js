@@ -0,0 +1,299 @@
+// Game engine - pure rules for 3D tic-tac-toe.
+// No THREE or DOM access here so the same rules can run in the browser,
+// in Node (bots, tests, servers) or anywhere else.
+
+import { generateWinningLines, coordsToIndex, indexToCoords } from './lines.js';
+import { generateFaceletLines, faceletCount } from './facelets.js';
+import { TWIST_NAMES, inverseTwist, getTwistCells } from './twists.js';
+
+export const DEFAULT_SIZE = 3;
+export const MIN_SIZE = 3;
+export const MAX_SIZE = 5; // Larger boards aren't rendered, and their lines get slow to build
+export const CENTER_INDEX = 13; // Hidden center cube of the standard board (position [1,1,1])
+
+// What differs between variants - the cells, their winning lines, which free cells can be
+// claimed, when a game is drawn and whether layers can be twisted. 'cubes' claims whole cubes;
+// 'facelets' claims single outer stickers (see facelets.js); 'twist' claims cubes or turns an
+// outer layer (see twists.js); 'gravity' stacks cubes from the bottom like Connect Four
+const VARIANTS = {
+    cubes: {
+        cellCount: size => size * size * size,
+        generateLines: generateWinningLines,
+        isReachable: () => true,
+        isDrawn: board => isBoardFull(board),
+        twists: false
+    },
+    facelets: {
+        cellCount: faceletCount,
+        generateLines: generateFaceletLines,
+        isReachable: () => true,
+        // Lines wrap around the whole cube, so call the draw as soon as every line is blocked
+        isDrawn: (board, lines) => lines.every(line => line.some(index => board[index] === 1) &&
+            line.some(index => board[index] === 2)),
+        twists: false
+    },
+    twist: {
+        cellCount: size => size * size * size,
+        generateLines: generateWinningLines,
+        isReachable: () => true,
+        isDrawn: board => isBoardFull(board),
+        twists: true
+    },
+    gravity: {
+        cellCount: size => size * size * size,
+        generateLines: generateWinningLines,
+        // Only the lowest free cube of each column (x, z) can be claimed
+        isReachable: (board, index, size) => {
+            const { x, y, z } = indexToCoords(index, size);
+            return y === 0 || board[coordsToIndex(x, y - 1, z, size)] !== 0;
+        },
+        isDrawn: board => isBoardFull(board),
+        twists: false
+    }
+};
+
+export const VARIANT_IDS = Object.keys(VARIANTS);
+
+// How a game is won, independent of the variant:
+// 'line'   - the first to complete a line wins
+// 'misere' - the first to complete a line loses
+// 'score'  - play on until the board is full; whoever completed more lines wins
+export const GOALS = ['line', 'misere', 'score'];
+
+export function createGame(options = {}) {
+    const size = options.size || DEFAULT_SIZE;
+    const winLength = options.winLength || size;
+    const variant = options.variant || 'cubes';
+    const goal = options.goal || 'line';
+    if (!VARIANTS[variant]) {
+        throw new Error(`Unknown variant: ${variant}`);
+    }
+    if (!GOALS.includes(goal)) {
+        throw new Error(`Unknown goal: ${goal}`);
+    }
+    if (!isSupportedBoard(size, winLength)) {
+        throw new Error(`Unsupported board: size ${size} with lines of ${winLength}`);
+    }
+
+    return {
+        size: size,
+        winLength: winLength,
+        variant: variant,
+        goal: goal,
+        noCenterOpening: Boolean(options.noCenterOpening), // The first move may not take the center
+        lines: VARIANTS[variant].generateLines(size, winLength),
+        board: new Array(VARIANTS[variant].cellCount(size)).fill(0),
+        currentPlayer: options.firstPlayer || 1,
+        moves: [],
+        winner: null, // null while playing, 0 for a draw, otherwise the player
+        winningLines: [], // Lines that decided the game, for highlighting
+        timedOut: null, // Player who lost on time, see clock.js
+        scores: goal === 'score' ? { 1: 0, 2: 0 } : null // Completed lines per player
+    };
+}
+
+// Sizes MIN_SIZE to MAX_SIZE, with lines of 3 up to the board's size
+export function isSupportedBoard(size, winLength) {
+    return Number.isInteger(size) && Number.isInteger(winLength) &&
+        size >= MIN_SIZE && size <= MAX_SIZE && winLength >= 3 && winLength <= size;
+}
+
+// The single middle cell of odd cube boards, null when there isn't one
+export function getCenterCell(state) {
+    if (state.variant === 'facelets' || state.size % 2 === 0) return null;
+    const middle = (state.size - 1) / 2;
+    return coordsToIndex(middle, middle, middle, state.size);
+}
+
+export function otherPlayer(player) {
+    return player === 1 ? 2 : 1;
+}
+
+export function isGameOver(state) {
+    return state.winner !== null;
+}
+
+export function isLegalMove(state, index) {
+    return !isGameOver(state) &&
+        Number.isInteger(index) &&
+        index >= 0 && index < state.board.length &&
+        isPlayableCell(state, index) &&
+        !(state.noCenterOpening && state.moves.length === 0 && index === getCenterCell(state));
+}
+
+// Free and reachable under the variant's rules - board can be a scratch copy, as in ai.js
+export function isPlayableCell(state, index, board = state.board) {
+    return board[index] === 0 && VARIANTS[state.variant].isReachable(board, index, state.size);
+}
+
+export function getLegalMoves(state) {
+    if (isGameOver(state)) return [];
+
+    const moves = [];
+    for (let i = 0; i < state.board.length; i++) {
+        if (isLegalMove(state, i)) moves.push(i);
+    }
+    return moves;
+}
+
+// The cell a gravity piece dropped into index's column lands on, or null for a full column
+export function getDropCell(state, index) {
+    const { x, z } = indexToCoords(index, state.size);
+    for (let y = 0; y < state.size; y++) {
+        const cell = coordsToIndex(x, y, z, state.size);
+        if (state.board[cell] === 0) return cell;
+    }
+    return null;
+}
+
+// Returns a new state with the move applied; the given state is untouched
+export function applyMove(state, index) {
+    if (!isLegalMove(state, index)) {
+        throw new Error(`Illegal move: ${index}`);
+    }
+
+    const player = state.currentPlayer;
+    const board = state.board.slice();
+    board[index] = player;
+
+    return settleTurn({
+        ...state,
+        board: board,
+        moves: [...state.moves, { index: index, player: player }]
+    }, player);
+}
+
+// Decides whether the turn just played by player ended the game, under the game's goal
+function settleTurn(next, player) {
+    const opponent = otherPlayer(player);
+    const completed = {
+        [player]: findCompletedLines(next.board, player, next.lines),
+        [opponent]: findCompletedLines(next.board, opponent, next.lines)
+    };
+    next.currentPlayer = player;
+    next.winner = null;
+    next.winningLines = [];
+
+    if (next.goal === 'score') {
+        next.scores = { 1: completed[1].length, 2: completed[2].length };
+        if (isBoardFull(next.board)) {
+            next.winner = next.scores[1] === next.scores[2] ? 0 : (next.scores[1] > next.scores[2] ? 1 : 2);
+            next.winningLines = next.winner === 0 ? [] : completed[next.winner];
+        } else {
+            next.currentPlayer = opponent;
+        }
+        return next;
+    }
+
+    // A claim only completes the mover's lines, but a twist can complete either player's -
+    // lines for both at once are a draw
+    const makers = [player, opponent].filter(candidate => completed[candidate].length > 0);
+    if (makers.length === 2) {
+        next.winner = 0;
+        next.winningLines = [...completed[player], ...completed[opponent]];
+    } else if (makers.length === 1) {
+        next.winner = next.goal === 'misere' ? otherPlayer(makers[0]) : makers[0];
+        next.winningLines = completed[makers[0]];
+    } else if (VARIANTS[next.variant].isDrawn(next.board, next.lines)) {
+        next.winner = 0;
+    } else {
+        next.currentPlayer = opponent;
+    }
+    return next;
+}
+
+// Ends the game as a loss for a player whose clock ran out
+export function applyTimeout(state, player) {
+    if (isGameOver(state)) {
+        throw new Error('The game is already over');
+    }
+
+    return {
+        ...state,
+        winner: otherPlayer(player),
+        winningLines: [],
+        timedOut: player
+    };
+}
+
+export function usesTwists(state) {
+    return VARIANTS[state.variant].twists;
+}
+
+export function isLegalTwist(state, name) {
+    if (isGameOver(state) || !usesTwists(state) || !TWIST_NAMES.includes(name)) return false;
+
+    // Ko rule - the previous twist can't be undone straight away
+    const lastMove = state.moves[state.moves.length - 1];
+    return !(lastMove && lastMove.twist === inverseTwist(name));
+}
+
+export function getLegalTwists(state) {
+    return TWIST_NAMES.filter(name => isLegalTwist(state, name));
+}
+
+// Twists a layer instead of claiming a cell; the claimed cubes move with the layer
+export function applyTwist(state, name) {
+    if (!isLegalTwist(state, name)) {
+        throw new Error(`Illegal twist: ${name}`);
+    }
+
+    const player = state.currentPlayer;
+    const board = state.board.slice();
+    getTwistCells(name, state.size).forEach(([from, to]) => {
+        board[to] = state.board[from];
+    });
+
+    return settleTurn({
+        ...state,
+        board: board,
+        moves: [...state.moves, { twist: name, player: player }]
+    }, player);
+}
+
+export function findWinningLine(board, player, lines) {
+    for (const line of lines) {
+        if (line.every(index => board[index] === player)) {
+            return line;
+        }
+    }
+    return null;
+}
+
+export function findCompletedLines(board, player, lines) {
+    return lines.filter(line => line.every(index => board[index] === player));
+}
+
+// Free cells that would complete one of player's lines if they claimed it next
+export function findThreatCells(state, player) {
+    const cells = new Set();
+    state.lines.forEach(line => {
+        const empty = line.filter(index => state.board[index] === 0);
+        if (empty.length === 1 && line.every(index => state.board[index] === player || index === empty[0]) &&
+            isPlayableCell(state, empty[0])) {
+            cells.add(empty[0]);
+        }
+    });
+    return [...cells];
+}
+
+// Lines player has started that the opponent hasn't blocked
+export function countOpenLines(state, player) {
+    const opponent = otherPlayer(player);
+    return state.lines.filter(line =>
+        line.some(index => state.board[index] === player) &&
+        !line.some(index => state.board[index] === opponent)
+    ).length;
+}
+
+export function getWinner(state) {
+    return state.winner ? state.winner : null;
+}
+
+export function isBoardFull(board) {
+    return board.every(cell => cell !== 0);
+}
+
+export function isDraw(state) {
+    return state.winner === 0;
+}
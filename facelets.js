@@ -0,0 +1,128 @@
+// Facelet variant geometry - every visible outer sticker is its own cell.
+// Facelets use index = face * N * N + u * N + v, where u and v are the face's two
+// in-plane axes in x, y, z order (x faces: y then z, y faces: x then z, z faces: x then y)
+
+import { coordsToIndex } from './lines.js';
+
+// Same order as the stickers on each cube in script.js: right, left, top, bottom, front, back
+export const FACES = [
+    { letter: 'R', name: 'right', axis: 0, side: 1 },
+    { letter: 'L', name: 'left', axis: 0, side: -1 },
+    { letter: 'U', name: 'top', axis: 1, side: 1 },
+    { letter: 'D', name: 'bottom', axis: 1, side: -1 },
+    { letter: 'F', name: 'front', axis: 2, side: 1 },
+    { letter: 'B', name: 'back', axis: 2, side: -1 }
+];
+
+export function faceletCount(size) {
+    return 6 * size * size;
+}
+
+export function faceletToIndex(face, u, v, size) {
+    return face * size * size + u * size + v;
+}
+
+export function indexToFacelet(index, size) {
+    return {
+        face: Math.floor(index / (size * size)),
+        u: Math.floor(index / size) % size,
+        v: index % size
+    };
+}
+
+function planeAxes(axis) {
+    return [0, 1, 2].filter(other => other !== axis);
+}
+
+function faceFor(axis, side) {
+    return axis * 2 + (side > 0 ? 0 : 1);
+}
+
+// The facelet on the given face of the cube at [x, y, z]
+function faceletAt(coords, axis, side, size) {
+    const [uAxis, vAxis] = planeAxes(axis);
+    return faceletToIndex(faceFor(axis, side), coords[uAxis], coords[vAxis], size);
+}
+
+// Cube index and sticker (face) index that show a facelet
+export function faceletToSticker(index, size) {
+    const { face, u, v } = indexToFacelet(index, size);
+    const { axis, side } = FACES[face];
+    const [uAxis, vAxis] = planeAxes(axis);
+
+    const coords = [];
+    coords[axis] = side > 0 ? size - 1 : 0;
+    coords[uAxis] = u;
+    coords[vAxis] = v;
+    return { cubeIndex: coordsToIndex(coords[0], coords[1], coords[2], size), faceIndex: face };
+}
+
+// Facelet shown by a cube's sticker, or -1 for stickers facing into the cube
+export function stickerToFacelet(cubeCoords, faceIndex, size) {
+    const { axis, side } = FACES[faceIndex];
+    const coords = [cubeCoords.x, cubeCoords.y, cubeCoords.z];
+    if (coords[axis] !== (side > 0 ? size - 1 : 0)) return -1;
+    return faceletAt(coords, axis, side, size);
+}
+
+// The ring of 4N facelets around one layer of the cube, in order - neighbours share an edge,
+// including across the cube's edges
+function layerRing(axis, layer, size) {
+    const [p, q] = planeAxes(axis);
+    const ring = [];
+    const at = (pValue, qValue, faceAxis, side) => {
+        const coords = [];
+        coords[axis] = layer;
+        coords[p] = pValue;
+        coords[q] = qValue;
+        ring.push(faceletAt(coords, faceAxis, side, size));
+    };
+
+    for (let i = 0; i < size; i++) at(size - 1, i, p, 1);
+    for (let i = size - 1; i >= 0; i--) at(i, size - 1, q, 1);
+    for (let i = size - 1; i >= 0; i--) at(0, i, p, -1);
+    for (let i = 0; i < size; i++) at(i, 0, q, -1);
+    return ring;
+}
+
+export function generateFaceletLines(size, winLength = size) {
+    if (!Number.isInteger(size) || size < 2) {
+        throw new Error(`Invalid board size: ${size}`);
+    }
+    if (!Number.isInteger(winLength) || winLength < 2 || winLength > size) {
+        throw new Error(`Invalid win length ${winLength} for board size ${size}`);
+    }
+
+    const lines = [];
+
+    // Straight lines - every run along a layer ring, so rows and columns continue over the edges
+    for (let axis = 0; axis < 3; axis++) {
+        for (let layer = 0; layer < size; layer++) {
+            const ring = layerRing(axis, layer, size);
+            for (let start = 0; start < ring.length; start++) {
+                const line = [];
+                for (let k = 0; k < winLength; k++) {
+                    line.push(ring[(start + k) % ring.length]);
+                }
+                lines.push(line);
+            }
+        }
+    }
+
+    // Diagonals stay on their own face
+    FACES.forEach((face, faceIndex) => {
+        for (let u = 0; u + winLength <= size; u++) {
+            for (let v = 0; v + winLength <= size; v++) {
+                const down = [];
+                const up = [];
+                for (let k = 0; k < winLength; k++) {
+                    down.push(faceletToIndex(faceIndex, u + k, v + k, size));
+                    up.push(faceletToIndex(faceIndex, u + k, v + winLength - 1 - k, size));
+                }
+                lines.push(down, up);
+            }
+        }
+    });
+
+    return lines;
+}
@@ -0,0 +1,68 @@
+// Winning-line generation for N x N x N boards.
+// Cells use the same index mapping as the renderer: index = x * N * N + y * N + z
+
+export function coordsToIndex(x, y, z, size) {
+    return x * size * size + y * size + z;
+}
+
+export function indexToCoords(index, size) {
+    return {
+        x: Math.floor(index / (size * size)),
+        y: Math.floor(index / size) % size,
+        z: index % size
+    };
+}
+
+// The 13 line directions - one of each +/- pair (first non-zero component positive)
+const DIRECTIONS = [];
+for (let dx = -1; dx <= 1; dx++) {
+    for (let dy = -1; dy <= 1; dy++) {
+        for (let dz = -1; dz <= 1; dz++) {
+            const first = dx !== 0 ? dx : (dy !== 0 ? dy : dz);
+            if (first > 0) DIRECTIONS.push([dx, dy, dz]);
+        }
+    }
+}
+
+// Number of full-length lines on an N x N x N board: ((N + 2)^3 - N^3) / 2
+export function expectedLineCount(size) {
+    return (Math.pow(size + 2, 3) - Math.pow(size, 3)) / 2;
+}
+
+export function generateWinningLines(size, winLength = size) {
+    if (!Number.isInteger(size) || size < 2) {
+        throw new Error(`Invalid board size: ${size}`);
+    }
+    if (!Number.isInteger(winLength) || winLength < 2 || winLength > size) {
+        throw new Error(`Invalid win length ${winLength} for board size ${size}`);
+    }
+
+    const inBounds = value => value >= 0 && value < size;
+    const lines = [];
+
+    for (let x = 0; x < size; x++) {
+        for (let y = 0; y < size; y++) {
+            for (let z = 0; z < size; z++) {
+                DIRECTIONS.forEach(([dx, dy, dz]) => {
+                    const endX = x + dx * (winLength - 1);
+                    const endY = y + dy * (winLength - 1);
+                    const endZ = z + dz * (winLength - 1);
+                    if (!inBounds(endX) || !inBounds(endY) || !inBounds(endZ)) return;
+
+                    const line = [];
+                    for (let k = 0; k < winLength; k++) {
+                        line.push(coordsToIndex(x + dx * k, y + dy * k, z + dz * k, size));
+                    }
+                    lines.push(line);
+                });
+            }
+        }
+    }
+
+    // Full-length lines have a known closed-form count - verify against it
+    if (winLength === size && lines.length !== expectedLineCount(size)) {
+        throw new Error(`Generated ${lines.length} lines for size ${size}, expected ${expectedLineCount(size)}`);
+    }
+
+    return lines;
+}
@@ -0,0 +1,189 @@
+// Game notation - compact text for sharing and saving games.
+//
+// Cell:     three digits x, y, z counted from 1, e.g. "213" is x=2 y=1 z=3.
+//           Facelet games use the face letter and its two in-plane coordinates, e.g. "F32"
+//           is the front sticker at x=3 y=2 (see facelets.js)
+//           Twists in twist games use cube notation, e.g. "R" or "U'" (see twists.js)
+// Moves:    cells joined by "-", e.g. "222-311-131"
+// Record:   "size.winLength.firstPlayer:moves", e.g. "3.3.1:222-311-131", with ".f" after the
+//           first player for facelet games ("3.3.1.f:F22-R31"), ".t" for twist games
+//           ("3.3.1.t:222-R-311") and ".g" for gravity games ("3.3.1.g:212-211").
+//           Rule flags follow the variant: ".m" misère, ".s" scoring and ".n" no center
+//           on move one, e.g. "3.3.1.g.m.n:212-211".
+//           Plain moves are read as a standard 3x3x3 game started by player 1
+// Position: "size:" followed by one character per cell in index order -
+//           "." empty, "x" player 1, "o" player 2. Facelet positions start "sizef:"
+
+import { createGame, applyMove, applyTwist, isLegalMove, isLegalTwist, isGameOver, isSupportedBoard, DEFAULT_SIZE, MIN_SIZE, MAX_SIZE } from './engine.js';
+import { coordsToIndex, indexToCoords } from './lines.js';
+import { FACES, faceletCount, faceletToIndex, indexToFacelet } from './facelets.js';
+import { TWIST_NAMES } from './twists.js';
+
+const POSITION_MARKS = ['.', 'x', 'o'];
+const VARIANT_CODES = { cubes: '', facelets: '.f', twist: '.t', gravity: '.g' };
+const GOAL_CODES = { line: '', misere: '.m', score: '.s' };
+const NO_CENTER_CODE = '.n';
+
+export class NotationError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'NotationError';
+    }
+}
+
+export function formatCell(index, size, variant = 'cubes') {
+    if (variant === 'facelets') {
+        const { face, u, v } = indexToFacelet(index, size);
+        return `${FACES[face].letter}${u + 1}${v + 1}`;
+    }
+
+    const { x, y, z } = indexToCoords(index, size);
+    return `${x + 1}${y + 1}${z + 1}`;
+}
+
+export function parseCell(text, size, variant = 'cubes') {
+    if (variant === 'facelets') {
+        return parseFacelet(text, size);
+    }
+
+    if (!/^[1-9]{3}$/.test(text)) {
+        throw new NotationError(`"${text}" is not a cell - expected three digits like 213`);
+    }
+
+    const [x, y, z] = text.split('').map(digit => parseInt(digit, 10) - 1);
+    if (x >= size || y >= size || z >= size) {
+        throw new NotationError(`Cell ${text} is outside a ${size}x${size}x${size} board`);
+    }
+    return coordsToIndex(x, y, z, size);
+}
+
+function parseFacelet(text, size) {
+    const match = /^([RLUDFB])([1-9])([1-9])$/.exec(text);
+    if (!match) {
+        throw new NotationError(`"${text}" is not a sticker - expected a face letter and two digits like F32`);
+    }
+
+    const u = parseInt(match[2], 10) - 1;
+    const v = parseInt(match[3], 10) - 1;
+    if (u >= size || v >= size) {
+        throw new NotationError(`Sticker ${text} is outside a ${size}x${size} face`);
+    }
+    return faceletToIndex(FACES.findIndex(face => face.letter === match[1]), u, v, size);
+}
+
+export function formatMoves(state) {
+    return state.moves.map(move => move.twist || formatCell(move.index, state.size, state.variant)).join('-');
+}
+
+export function formatGameRecord(state) {
+    const firstPlayer = state.moves.length > 0 ? state.moves[0].player : state.currentPlayer;
+    const codes = VARIANT_CODES[state.variant] + GOAL_CODES[state.goal] + (state.noCenterOpening ? NO_CENTER_CODE : '');
+    return `${state.size}.${state.winLength}.${firstPlayer}${codes}:${formatMoves(state)}`;
+}
+
+export function parseGameRecord(text) {
+    const trimmed = String(text).trim();
+    let header = `${DEFAULT_SIZE}.${DEFAULT_SIZE}.1`;
+    let movesText = trimmed;
+
+    if (trimmed.includes(':')) {
+        [header, movesText] = trimmed.split(':', 2);
+    }
+
+    const headerMatch = /^(\d+)\.(\d+)\.([12])(\.[ftg])?(\.[ms])?(\.n)?$/.exec(header);
+    if (!headerMatch) {
+        throw new NotationError(`"${header}" is not a game header - expected size.winLength.firstPlayer like 3.3.1`);
+    }
+
+    const size = parseInt(headerMatch[1], 10);
+    const winLength = parseInt(headerMatch[2], 10);
+    if (!isSupportedBoard(size, winLength)) {
+        throw new NotationError(`Unsupported board: size ${size} with lines of ${winLength} - boards are ${MIN_SIZE} to ${MAX_SIZE} wide with lines of 3 up to the size`);
+    }
+
+    const variant = Object.keys(VARIANT_CODES).find(id => VARIANT_CODES[id] === (headerMatch[4] || ''));
+    const goal = Object.keys(GOAL_CODES).find(id => GOAL_CODES[id] === (headerMatch[5] || ''));
+    // Claims are cell indexes, twists stay as their names
+    const moves = movesText === '' ? [] : movesText.split('-').map((cell, i) => {
+        if (variant === 'twist' && TWIST_NAMES.includes(cell)) return cell;
+        try {
+            return parseCell(cell, size, variant);
+        } catch (error) {
+            throw new NotationError(`Move ${i + 1}: ${error.message}`);
+        }
+    });
+
+    return {
+        size: size,
+        winLength: winLength,
+        firstPlayer: parseInt(headerMatch[3], 10),
+        variant: variant,
+        goal: goal,
+        noCenterOpening: Boolean(headerMatch[6]),
+        moves: moves
+    };
+}
+
+// Plays a parsed record through the engine, so illegal records fail before anything is shown
+export function replayGameRecord(record) {
+    let state = createGame({
+        size: record.size,
+        winLength: record.winLength,
+        firstPlayer: record.firstPlayer,
+        variant: record.variant,
+        goal: record.goal,
+        noCenterOpening: record.noCenterOpening
+    });
+
+    record.moves.forEach((move, i) => {
+        const text = typeof move === 'string' ? move : formatCell(move, record.size, record.variant);
+        if (isGameOver(state)) {
+            throw new NotationError(`Move ${i + 1} (${text}) comes after the game has ended`);
+        }
+        if (typeof move === 'string') {
+            if (!isLegalTwist(state, move)) {
+                throw new NotationError(`Move ${i + 1} (${text}) undoes the twist just before it`);
+            }
+            state = applyTwist(state, move);
+            return;
+        }
+        if (state.board[move] !== 0) {
+            throw new NotationError(`Move ${i + 1} (${text}) is on a cell that is already taken`);
+        }
+        if (!isLegalMove(state, move)) {
+            const reason = state.moves.length === 0 && state.noCenterOpening ? 'takes the center on move one' : 'is above an empty cell';
+            throw new NotationError(`Move ${i + 1} (${text}) ${reason}`);
+        }
+        state = applyMove(state, move);
+    });
+
+    return state;
+}
+
+export function formatPosition(board, size, variant = 'cubes') {
+    const marker = variant === 'facelets' ? 'f' : '';
+    return `${size}${marker}:${board.map(owner => POSITION_MARKS[owner]).join('')}`;
+}
+
+export function parsePosition(text) {
+    const match = /^(\d+)(f?):([.xo]+)$/.exec(String(text).trim());
+    if (!match) {
+        throw new NotationError('A position looks like "3:" followed by ".", "x" and "o" for each cell');
+    }
+
+    const size = parseInt(match[1], 10);
+    if (size < MIN_SIZE || size > MAX_SIZE) {
+        throw new NotationError(`Unsupported board: size ${size} - boards are ${MIN_SIZE} to ${MAX_SIZE} wide`);
+    }
+    const variant = match[2] ? 'facelets' : 'cubes';
+    const cellCount = variant === 'facelets' ? faceletCount(size) : size * size * size;
+    if (match[3].length !== cellCount) {
+        throw new NotationError(`A size ${size} position needs ${cellCount} cells, got ${match[3].length}`);
+    }
+
+    return {
+        size: size,
+        variant: variant,
+        board: match[3].split('').map(mark => POSITION_MARKS.indexOf(mark))
+    };
+}
@@ -0,0 +1,74 @@
+// Online play - browser client for the WebSocket protocol served by server.js.
+//
+// Client -> server: { type: 'create', options: { size, winLength, variant, goal, noCenterOpening } },
+//                   { type: 'join', room },
+//                   { type: 'move', index }, { type: 'twist', twist }, { type: 'rematch' }
+//                   (the server starts a new game once both players have sent 'rematch')
+// Server -> client: { type: 'joined', room, player, options, firstPlayer, moves, opponentConnected },
+//                   { type: 'move', index, player }, { type: 'twist', twist, player },
+//                   { type: 'rematchRequested' }, { type: 'newGame', firstPlayer },
+//                   { type: 'opponentJoined' }, { type: 'opponentLeft' }, { type: 'error', message }
+
+export function getServerUrl() {
+    // ?server=ws://host:port/ws overrides the server the page itself was loaded from
+    const params = new URLSearchParams(window.location.search);
+    if (params.get('server')) return params.get('server');
+
+    const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
+    return `${protocol}//${window.location.host}/ws`;
+}
+
+export function connectOnline(url, handlers) {
+    const socket = new WebSocket(url);
+    const pending = []; // Messages sent before the socket opened
+    let closedByUs = false;
+
+    function send(message) {
+        const text = JSON.stringify(message);
+        if (socket.readyState === WebSocket.OPEN) {
+            socket.send(text);
+        } else if (socket.readyState === WebSocket.CONNECTING) {
+            pending.push(text);
+        }
+    }
+
+    socket.addEventListener('open', () => {
+        pending.splice(0).forEach(text => socket.send(text));
+    });
+
+    socket.addEventListener('message', event => {
+        let message;
+        try {
+            message = JSON.parse(event.data);
+        } catch (error) {
+            return; // Ignore anything that isn't part of the protocol
+        }
+        handlers.onMessage(message);
+    });
+
+    socket.addEventListener('close', () => {
+        if (!closedByUs) handlers.onClose();
+    });
+
+    return {
+        createRoom(options) {
+            send({ type: 'create', options: options });
+        },
+        joinRoom(room) {
+            send({ type: 'join', room: room });
+        },
+        sendMove(index) {
+            send({ type: 'move', index: index });
+        },
+        sendTwist(twist) {
+            send({ type: 'twist', twist: twist });
+        },
+        requestRematch() {
+            send({ type: 'rematch' });
+        },
+        close() {
+            closedByUs = true;
+            socket.close();
+        }
+    };
+}
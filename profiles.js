@@ -0,0 +1,56 @@
+// Player profiles - names, colors and sticker marks for the two players.
+// Colors are plain hex numbers like the rest of the game (0xFF0000).
+
+// Color pairs to pick from - the Okabe-Ito pairs stay distinct for the common kinds of color blindness
+export const PALETTES = [
+    { id: 'classic', label: 'Classic red / blue', colors: { 1: 0xFF0000, 2: 0x0000FF } },
+    { id: 'okabe-ito', label: 'Color-blind safe orange / blue', colors: { 1: 0xE69F00, 2: 0x0072B2 } },
+    { id: 'vermillion-sky', label: 'Color-blind safe vermillion / sky', colors: { 1: 0xD55E00, 2: 0x56B4E9 } },
+    { id: 'magenta-green', label: 'Magenta / green', colors: { 1: 0xCC79A7, 2: 0x009E73 } }
+];
+
+// Symbols drawn on claimed stickers, so ownership doesn't rely on color alone
+export const MARKS = [
+    { id: 'none', label: 'No mark' },
+    { id: 'x', label: 'X' },
+    { id: 'o', label: 'O' },
+    { id: 'triangle', label: 'Triangle' },
+    { id: 'square', label: 'Square' }
+];
+
+const MAX_NAME_LENGTH = 16;
+
+export function createDefaultProfiles() {
+    return {
+        1: { name: 'Player 1', color: PALETTES[0].colors[1], mark: 'none' },
+        2: { name: 'Player 2', color: PALETTES[0].colors[2], mark: 'none' }
+    };
+}
+
+// Fills anything missing or invalid (e.g. from an old save) with the defaults
+export function sanitizeProfiles(profiles) {
+    const defaults = createDefaultProfiles();
+    const result = {};
+
+    [1, 2].forEach(player => {
+        const profile = (profiles && profiles[player]) || {};
+        const name = typeof profile.name === 'string' ? profile.name.trim().slice(0, MAX_NAME_LENGTH) : '';
+        const validColor = Number.isInteger(profile.color) && profile.color >= 0 && profile.color <= 0xFFFFFF;
+
+        result[player] = {
+            name: name || defaults[player].name,
+            color: validColor ? profile.color : defaults[player].color,
+            mark: MARKS.some(mark => mark.id === profile.mark) ? profile.mark : defaults[player].mark
+        };
+    });
+
+    return result;
+}
+
+export function colorToCss(color) {
+    return '#' + color.toString(16).padStart(6, '0');
+}
+
+export function cssToColor(css) {
+    return parseInt(css.replace('#', ''), 16);
+}
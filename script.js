@@ -1,19 +1,73 @@
 import * as THREE from 'three';
 import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
+import { createGame, applyMove, applyTwist, applyTimeout, isLegalMove, isLegalTwist, isGameOver, otherPlayer, usesTwists, findThreatCells, countOpenLines, getDropCell, getCenterCell, CENTER_INDEX, DEFAULT_SIZE, MIN_SIZE, MAX_SIZE, VARIANT_IDS, GOALS } from './engine.js';
+import { coordsToIndex, indexToCoords } from './lines.js';
+import { FACES, faceletToIndex, indexToFacelet, faceletToSticker, stickerToFacelet } from './facelets.js';
+import { TWIST_NAMES, getTwist, getTwistCells } from './twists.js';
+import { chooseMove, AI_LEVELS } from './ai.js';
+import { analyzeGame } from './analysis.js';
+import { connectOnline, getServerUrl } from './online.js';
+import { formatGameRecord, formatPosition, parseGameRecord, replayGameRecord, NotationError } from './notation.js';
+import { readSave, updateSave } from './storage.js';
+import { getSoundSettings, setSoundSettings, playClaim, playSweep, playPulse, playThreat } from './audio.js';
+import { TOURNAMENT_FORMATS, TournamentError, createTournament, recordGameResult, getNextGame, isTournamentOver, countGames, getStandings, getRoundName, getReachedName, describeMatch, formatTournament, serializeTournament, restoreTournament } from './tournament.js';
+import { CLOCK_PRESETS, createClocks, isClockOn, getRemaining, startTurn, endTurn, pauseClocks, resumeClocks, findFlagged, formatClock } from './clock.js';
+import { PALETTES, MARKS, createDefaultProfiles, sanitizeProfiles, colorToCss, cssToColor } from './profiles.js';
+import { linear, easeInOut, easeIn, getTweenTime, startTween, isTweening, cancelTween, finishTween, pauseTweens, resumeTweens, stepTweens } from './tweens.js';
 
-// Game Colors
+// Game Colors - the player colors come from the profiles, see profiles.js
 const COLORS = {
     WHITE: 0xFFFFFF,
-    RED: 0xFF0000,
-    BLUE: 0x0000FF,
-    BLACK: 0x000000
+    BLACK: 0x000000,
+    CURSOR: 0xFFA500, // Keyboard cursor outline
+    HINT: 0x00C853, // Suggested move outline
+    BLOCKED: 0x555555, // Hover outline of a cell that can't be claimed
+    SLICE: 0x00B8D4 // Outline of the layer shown in the slice view
 };
 
-// Game state
-let currentPlayer = 1; // 1 for red, 2 for blue
-let gameBoard = new Array(27).fill(0); // 3x3x3 = 27 positions
-let gameEnded = false;
+// Game state - the rules live in engine.js, this file only renders them
+const boardOptions = readBoardOptions();
+let game = createGame(boardOptions);
 let firstMoveMade = false;
+let roundNumber = 0; // Bumped on every new game so stale animations and timers can bail out
+
+// Move history - every engine state of this game, so undo/redo just moves the index
+let moveHistory = [game];
+let historyIndex = 0;
+let previewPly = null; // Ply shown by the timeline slider, null while showing the live game
+
+// Rematch series between the two players
+let series = {
+    policy: 'player1', // 'player1', 'loser' or 'alternate' - who starts the next game
+    starter: 1,
+    wins: { 1: 0, 2: 0 },
+    draws: 0
+};
+
+// Who controls each player - 'human' or one of the AI_LEVELS ids
+let playerTypes = { 1: 'human', 2: 'human' };
+let profiles = createDefaultProfiles(); // Names, colors and marks
+
+// Rules picked in the match panel - goal is one of GOALS in engine.js
+let ruleOptions = { goal: 'line', noCenterOpening: false };
+
+// Tournament between a roster of players, see tournament.js - tournamentGame is the game
+// being played ({ match, game, seats }), whose seats replace the profile names
+let tournament = null;
+let tournamentGame = null;
+
+// Game clocks - one of CLOCK_PRESETS, see clock.js. Local games only, the server keeps no time
+const CLOCK_LOW_TIME = 5000; // ms left when the running clock turns red
+let clockPreset = 'off';
+let clocks = createClocks(clockPreset);
+let computerMoveTimer = null;
+const COMPUTER_MOVE_DELAY = 600; // ms, so computer moves are easy to follow
+
+// Online play - { client, room, player } while connected to a server room, see online.js
+let online = null;
+
+// Set while a loaded game record is replayed move by move
+let replayingRecord = false;
 
 // Three.js setup
 let scene, camera, renderer, cubeGroup;
@@ -23,12 +77,14 @@ let mouse = new THREE.Vector2();
 let controls;
 let centerAura = null; // For the center cube aura effect
 
-// Center cube button replacement - now with two cubes
+// Center cube button replacement - now with two cubes, drawn by the main renderer over their
+// containers (element), which take the clicks. dim stands in for the old canvas opacity
 let centerCubes = {
     player1: {
         scene: null,
         camera: null,
-        renderer: null,
+        element: null,
+        dim: 1,
         group: null,
         inner: null,
         outer: null
@@ -36,7 +92,8 @@ let centerCubes = {
     player2: {
         scene: null,
         camera: null,
-        renderer: null,
+        element: null,
+        dim: 1,
         group: null,
         inner: null,
         outer: null
@@ -44,10 +101,162 @@ let centerCubes = {
 };
 let isFadingOut = false;
 
-// Click detection variables
-let mouseDownTime = 0;
-let mouseDownPosition = new THREE.Vector2();
+// Frame clock for the tweens in tweens.js, stepped by animate
+const MAX_FRAME_STEP = 100; // ms - longer gaps, e.g. a stalled tab, don't make animations jump
+let lastFrameTime = null;
+
+// The browser can take the WebGL context away, e.g. after a GPU driver reset
+let contextLost = false;
+
+// Tap detection variables - pointer events cover mouse, pen and touch
+let pointerDownTime = 0;
+let pointerDownPosition = new THREE.Vector2();
+let tapPointerId = null;
+let tapPointerType = 'mouse';
 let isDragging = false;
+let activePointers = new Set(); // More than one means a pinch, never a tap
+let longPressTimer = null;
+let movePreviewCell = null; // Cell tinted by a hovering mouse or a long press
+let blockedOutline = null; // Outline of a hovered cell that can't be claimed, cell in userData
+
+// Layer twists (twist variant)
+const TWIST_DURATION = 300; // ms
+let isTwisting = false;
+let twistAnimation = null; // { pivot, cubes, onComplete, round } while a layer turns
+
+// Exploded view - spreads the layers apart so inner cubes, the center included, can be clicked
+const EXPLODE_GAP = 1.0; // Extra space between layers when fully exploded
+const EXPLODE_DURATION = 400; // ms
+let explodeAmount = 0; // 0 packed, 1 fully exploded
+let explodeAnimation = null; // { to } while the layers spread or pack
+
+// Slice view - one layer drawn as a flat board next to the 3D view, axis null when off
+let sliceView = { axis: null, layer: 0 };
+let sliceOutline = null;
+
+// How each slice is laid out flat, as seen from the positive side of its axis
+// (x from the right, y from above with the front at the bottom, z from the front)
+const SLICE_LAYOUTS = [
+    { column: { axis: 2, reversed: true }, row: { axis: 1, reversed: true } },
+    { column: { axis: 0, reversed: false }, row: { axis: 2, reversed: false } },
+    { column: { axis: 0, reversed: false }, row: { axis: 1, reversed: true } }
+];
+const MARK_SYMBOLS = { none: '', x: '\u2715', o: '\u25EF', triangle: '\u25B3', square: '\u25A1' };
+
+// Replay viewer - { analysis, ply, worker, outline } while reviewing a finished game, see analysis.js.
+// Playback steps on the tween clock, so it holds still while the tab is hidden
+const REPLAY_STEP = 1400; // ms per move while playing
+const MOVE_LABEL_COLORS = { winning: 0x00A040, forced: 0x0060C0, blunder: 0xD00000, neutral: 0x888888 };
+let replay = null;
+
+// Camera views - directions from the board's center to the camera, tweened at the current distance.
+// The corner view looks down one space diagonal and the diagonal views down the other three.
+// Top and bottom lean a hair forward so the orbit keeps an up direction
+const CAMERA_PRESETS = [
+    { id: 'front', label: 'Front', key: '1', direction: [0, 0, 1] },
+    { id: 'back', label: 'Back', key: '2', direction: [0, 0, -1] },
+    { id: 'left', label: 'Left', key: '3', direction: [-1, 0, 0] },
+    { id: 'right', label: 'Right', key: '4', direction: [1, 0, 0] },
+    { id: 'top', label: 'Top', key: '5', direction: [0, 1, 0.001] },
+    { id: 'bottom', label: 'Bottom', key: '6', direction: [0, -1, 0.001] },
+    { id: 'corner', label: 'Corner', key: '7', direction: [1, 1, 1] },
+    { id: 'diagonal-1', label: 'Diag 1', key: '8', direction: [-1, 1, 1] },
+    { id: 'diagonal-2', label: 'Diag 2', key: '9', direction: [-1, 1, -1] },
+    { id: 'diagonal-3', label: 'Diag 3', key: '0', direction: [1, 1, -1] }
+];
+const CAMERA_MOVE_DURATION = 700; // ms
+const IDLE_ORBIT_DELAY = 10000; // ms without input before the auto-orbit starts
+let autoOrbit = false;
+let lastInteraction = 0; // Tween clock time of the last input, see tweens.js
+
+// Fingers wobble more than a mouse, so touch gets more room and time
+const TAP_TOLERANCE = { mouse: 5, pen: 8, touch: 12 }; // px
+const TAP_MAX_DURATION = { mouse: 200, pen: 300, touch: 300 }; // ms
+const LONG_PRESS_DURATION = 500; // ms
+
+// Keyboard cursor - a cell in board coordinates, shown once the keyboard is used
+let keyboardCursor = null;
+let cursorHighlight = null;
+
+// Assist overlay - outlines cells that complete a line for either player, plus a requested hint
+const ASSIST_PULSE_DURATION = 1200; // ms for one full pulse
+let assistEnabled = false;
+let assistState = {
+    outlines: [], // Outline meshes in cubeGroup
+    cells: new Map(), // Cell index -> color its empty stickers pulse towards
+    tinted: new Map() // Sticker -> the tint it was last given, so clearing leaves repainted stickers alone
+};
+let hint = null; // { state, move } - a cell or twist, only shown while state is still the live game
+
+function readBoardOptions() {
+    // Board size, win length and variant come from the URL, e.g. ?size=4 for 4x4x4 Qubic
+    // or ?variant=facelets, unless a shared game in the hash needs a particular board
+    const params = new URLSearchParams(window.location.search);
+    const record = readHashRecord();
+    const requestedSize = record ? record.size : parseInt(params.get('size'), 10);
+    const requestedWin = record ? record.winLength : parseInt(params.get('win'), 10);
+    const requestedVariant = record ? record.variant : params.get('variant');
+    
+    const size = Math.min(Math.max(requestedSize || DEFAULT_SIZE, MIN_SIZE), MAX_SIZE);
+    const winLength = Math.min(Math.max(requestedWin || size, 3), size);
+    const variant = VARIANT_IDS.includes(requestedVariant) ? requestedVariant : 'cubes';
+    
+    return { size: size, winLength: winLength, variant: variant };
+}
+
+function isSameBoard(options) {
+    return options.size === game.size && options.winLength === game.winLength && options.variant === game.variant;
+}
+
+function describeBoard(options) {
+    const variantNotes = { cubes: '', facelets: ' (stickers)', twist: ' (twists)', gravity: ' (gravity)' };
+    return `${options.size}x${options.size}x${options.size} board with lines of ${options.winLength}${variantNotes[options.variant]}`;
+}
+
+function getHashRecordText() {
+    const match = /^#game=(.+)$/.exec(window.location.hash);
+    if (!match) return null;
+    
+    try {
+        return decodeURIComponent(match[1]);
+    } catch (error) {
+        // A link cut off mid-character - report it like any unreadable record
+        setRecordStatus("CAN'T LOAD GAME: the link is damaged");
+        return null;
+    }
+}
+
+function readHashRecord() {
+    // Errors are reported once the scene exists, see loadGameFromHash
+    try {
+        const text = getHashRecordText();
+        return text ? parseGameRecord(text) : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+function usesCenterCubeButton() {
+    // Only the 3x3x3 board has a single fully hidden cube that needs the center button.
+    // Facelet games never claim it and gravity games reach it by stacking
+    return game.size === 3 && !usesFacelets() && !usesGravity();
+}
+
+function usesGravity() {
+    // Cubes drop to the lowest free cell of the picked column
+    return game.variant === 'gravity';
+}
+
+function usesFacelets() {
+    // Each outer sticker is its own cell instead of each cube
+    return game.variant === 'facelets';
+}
+
+function getCubeGap() {
+    // Larger boards hide several inner cubes, so spread the layers to keep them visible through the gaps.
+    // Gravity games stack into the middle column, so they need the gaps on 3x3x3 too
+    return game.size === 3 && !usesGravity() ? 0.05 : 0.6;
+}
 
 function init() {
     // Create scene with transparent background
@@ -55,8 +264,9 @@ function init() {
     // Remove scene background to allow HTML background to show through
     
     // Create camera
+    const viewScale = game.size * (0.95 + getCubeGap()) / 3; // Keep larger boards in frame
     camera = new THREE.PerspectiveCamera(75, window.innerWidth / window.innerHeight, 0.1, 1000);
-    camera.position.set(5, 5, 5);
+    camera.position.set(5 * viewScale, 5 * viewScale, 5 * viewScale);
     camera.lookAt(0, 0, 0);
     
     // Create renderer with transparent background
@@ -79,24 +289,53 @@ function init() {
     controls.dampingFactor = 0.05;
     controls.screenSpacePanning = false;
     controls.minDistance = 3;
-    controls.maxDistance = 10;
+    controls.maxDistance = 10 * viewScale;
     controls.maxPolarAngle = Math.PI;
     
     // Create both center cube 3D buttons
-    createCenterCubeButtons();
+    if (usesCenterCubeButton()) {
+        createCenterCubeButtons();
+    } else {
+        document.getElementById('center-cube-container-1').style.display = 'none';
+        document.getElementById('center-cube-container-2').style.display = 'none';
+    }
     
     // Add event listeners
     window.addEventListener('resize', onWindowResize);
-    renderer.domElement.addEventListener('mousedown', onMouseDown);
-    renderer.domElement.addEventListener('mousemove', onMouseMove);
-    renderer.domElement.addEventListener('mouseup', onMouseUp);
+    document.addEventListener('visibilitychange', onVisibilityChange);
+    setupContextLossHandling();
+    renderer.domElement.addEventListener('pointerdown', onPointerDown);
+    renderer.domElement.addEventListener('pointermove', onPointerMove);
+    renderer.domElement.addEventListener('pointerup', onPointerUp);
+    renderer.domElement.addEventListener('pointercancel', onPointerCancel);
+    renderer.domElement.addEventListener('pointerleave', onPointerLeave);
+    renderer.domElement.addEventListener('contextmenu', event => event.preventDefault()); // Long press on touch
+    renderer.domElement.addEventListener('gesturestart', event => event.preventDefault()); // Safari pinch on the board, the page itself still zooms
     
     // Start animation loop
-    animate();
+    requestAnimationFrame(animate);
     
     // Initialize UI to show current player
+    applySavedSettings();
+    setupPlayerSelects();
+    setupProfileControls();
+    setupViewControls();
+    setupCameraControls();
+    setupSoundControls();
+    setupMatchControls();
+    setupAssistControls();
+    setupHistoryControls();
+    setupOnlineControls();
+    setupKeyboardControls();
+    setupRecordControls();
+    setupReplayControls();
+    setupTwistControls();
+    createBoardGrid();
     updateUI();
     updateCenterCubeButtons();
+    restoreSavedGame();
+    scheduleComputerMove();
+    loadGameFromHash();
 }
 
 function setupLighting() {
@@ -136,21 +375,14 @@ function createRubiksCube() {
     cubeGroup = new THREE.Group();
     scene.add(cubeGroup);
     
-    const cubeSize = 0.95; // Slightly smaller than 1 to create gaps
-    const gap = 0.05;
-    
-    // Create 3x3x3 grid of cubes
-    for (let x = 0; x < 3; x++) {
-        for (let y = 0; y < 3; y++) {
-            for (let z = 0; z < 3; z++) {
-                const position = new THREE.Vector3(
-                    (x - 1) * (cubeSize + gap),
-                    (y - 1) * (cubeSize + gap),
-                    (z - 1) * (cubeSize + gap)
-                );
-                
-                const cubeIndex = x * 9 + y * 3 + z;
-                const cube = createSingleCube(cubeSize, position, cubeIndex);
+    const size = game.size;
+    
+    // Create NxNxN grid of cubes
+    for (let x = 0; x < size; x++) {
+        for (let y = 0; y < size; y++) {
+            for (let z = 0; z < size; z++) {
+                const cubeIndex = coordsToIndex(x, y, z, size);
+                const cube = createSingleCube(CUBE_SIZE, getCubePosition(cubeIndex), cubeIndex);
                 cubeGroup.add(cube);
                 cubePieces.push(cube);
             }
@@ -158,6 +390,19 @@ function createRubiksCube() {
     }
 }
 
+const CUBE_SIZE = 0.95; // Slightly smaller than 1 to create gaps
+
+function getCubeSpacing() {
+    return CUBE_SIZE + getCubeGap() + explodeAmount * EXPLODE_GAP;
+}
+
+function getCubePosition(index) {
+    const { x, y, z } = indexToCoords(index, game.size);
+    const half = (game.size - 1) / 2;
+    const spacing = getCubeSpacing();
+    return new THREE.Vector3((x - half) * spacing, (y - half) * spacing, (z - half) * spacing);
+}
+
 function createRoundedBoxGeometry(width, height, depth, radius, smoothness) {
     // Create a rounded box geometry
     const shape = new THREE.Shape();
@@ -201,6 +446,14 @@ function createRoundedRectangleGeometry(width, height, radius) {
     shape.quadraticCurveTo(x, y, x, y + radius);
     
     const geometry = new THREE.ShapeGeometry(shape);
+    
+    // Stretch UVs to 0..1 across the sticker so mark textures fill it
+    const positions = geometry.attributes.position;
+    const uvs = geometry.attributes.uv;
+    for (let i = 0; i < uvs.count; i++) {
+        uvs.setXY(i, (positions.getX(i) - x) / width, (positions.getY(i) - y) / height);
+    }
+    
     return geometry;
 }
 
@@ -250,7 +503,7 @@ function createSingleCube(size, position, index) {
     cube.receiveShadow = true;
     
     // Store index for game logic
-    cube.userData = { index: index, claimed: false, stickers: [] };
+    cube.userData = { index: index, stickers: [] };
     
     // Add white stickers on each face
     addStickers(cube, size);
@@ -307,47 +560,174 @@ function addBlackEdges(cube, size) {
     cube.add(wireframe);
 }
 
-function onMouseDown(event) {
-    if (event.button !== 0) return; // Only handle left mouse button
+function onPointerDown(event) {
+    activePointers.add(event.pointerId);
+    
+    // A second finger starts a pinch - let OrbitControls have it
+    if (activePointers.size > 1) {
+        cancelTap();
+        return;
+    }
+    if (event.pointerType === 'mouse' && event.button !== 0) return; // Only handle left mouse button
     
-    mouseDownTime = Date.now();
-    mouseDownPosition.set(event.clientX, event.clientY);
+    clearMovePreview(); // A hover preview ends on press - only a long press previews from here
+    pointerDownTime = Date.now();
+    pointerDownPosition.set(event.clientX, event.clientY);
+    tapPointerId = event.pointerId;
+    tapPointerType = TAP_TOLERANCE[event.pointerType] ? event.pointerType : 'mouse';
     isDragging = false;
+    
+    // Holding still previews the move instead of claiming
+    clearTimeout(longPressTimer);
+    longPressTimer = setTimeout(() => showMovePreview(event.clientX, event.clientY), LONG_PRESS_DURATION);
 }
 
-function onMouseMove(event) {
-    if (mouseDownTime > 0) {
-        // Check if mouse has moved significantly since mousedown
-        const currentPos = new THREE.Vector2(event.clientX, event.clientY);
-        const distance = mouseDownPosition.distanceTo(currentPos);
-        
-        if (distance > 5) { // 5 pixel threshold
-            isDragging = true;
-        }
+function onPointerMove(event) {
+    // A hovering mouse shows which cell a click would claim - in gravity games, where the drop lands
+    if (event.pointerType === 'mouse' && tapPointerId === null) {
+        showMovePreview(event.clientX, event.clientY);
+        return;
+    }
+    if (event.pointerId !== tapPointerId) return;
+    
+    // Check if the pointer has moved significantly since pointerdown
+    const currentPos = new THREE.Vector2(event.clientX, event.clientY);
+    const distance = pointerDownPosition.distanceTo(currentPos);
+    
+    if (distance > TAP_TOLERANCE[tapPointerType]) {
+        isDragging = true;
+        clearTimeout(longPressTimer);
+        clearMovePreview();
     }
 }
 
-function onMouseUp(event) {
-    if (event.button !== 0 || gameEnded) return; // Only handle left mouse button
+function onPointerUp(event) {
+    activePointers.delete(event.pointerId);
+    if (event.pointerId !== tapPointerId) return;
+    
+    const tapDuration = Date.now() - pointerDownTime;
+    const wasPreviewing = movePreviewCell !== null;
+    cancelTap();
     
-    const clickDuration = Date.now() - mouseDownTime;
+    // Only on a human player's turn in the live game
+    if (isGameOver(game) || !isLocalHumanTurn() || previewPly !== null) return;
     
-    // Only treat as a click if:
-    // 1. Click duration is less than 200ms (quick click)
-    // 2. Mouse hasn't moved significantly (not dragging)
-    if (clickDuration < 200 && !isDragging) {
+    // Only treat as a tap if:
+    // 1. It was quick (a long press only previews)
+    // 2. The pointer hasn't moved significantly (not dragging)
+    if (!wasPreviewing && tapDuration < TAP_MAX_DURATION[tapPointerType] && !isDragging) {
         handleCubeClick(event);
     }
+}
+
+function onPointerLeave() {
+    // Drop a hover preview, but keep one made by a press that is still going
+    if (tapPointerId === null) {
+        clearMovePreview();
+    }
+}
+
+function onPointerCancel(event) {
+    activePointers.delete(event.pointerId);
+    if (event.pointerId === tapPointerId) {
+        cancelTap();
+    }
+}
+
+function cancelTap() {
+    clearTimeout(longPressTimer);
+    longPressTimer = null;
+    clearMovePreview();
+    tapPointerId = null;
+    pointerDownTime = 0;
+}
+
+function showMovePreview(clientX, clientY) {
+    longPressTimer = null;
+    if (isGameOver(game) || !isLocalHumanTurn() || previewPly !== null || isDragging) {
+        clearMovePreview();
+        return;
+    }
     
-    // Reset tracking variables
-    mouseDownTime = 0;
-    isDragging = false;
+    const picked = pickCell(clientX, clientY);
+    const index = getMoveTarget(picked);
+    const legal = index !== null && isLegalMove(game, index) && !(isFadingOut && index === CENTER_INDEX);
+    if (index !== movePreviewCell || !legal) clearMovePreview();
+    
+    // Claimed cells, full gravity columns and the forbidden opening get a gray outline instead
+    if (!legal && picked !== null) showBlockedOutline(picked);
+    renderer.domElement.style.cursor = picked === null ? '' : (legal ? 'pointer' : 'not-allowed');
+    if (!legal || index === movePreviewCell) return;
+    
+    // Tint the cell halfway to the current player's color
+    const previewColor = new THREE.Color(COLORS.WHITE).lerp(new THREE.Color(getPlayerColor(game.currentPlayer)), 0.5);
+    getCellStickers(index).forEach(sticker => {
+        sticker.material.color.copy(previewColor);
+    });
+    movePreviewCell = index;
+}
+
+function clearMovePreview() {
+    if (blockedOutline) blockedOutline.visible = false;
+    if (renderer) renderer.domElement.style.cursor = '';
+    if (movePreviewCell === null) return;
+    
+    // Only unclaimed cells are previewed, so they go back to white unless claimed meanwhile
+    if (game.board[movePreviewCell] === 0) {
+        paintCell(movePreviewCell, 0);
+    }
+    movePreviewCell = null;
+}
+
+function showBlockedOutline(index) {
+    if (!blockedOutline) {
+        blockedOutline = createCellOutline(COLORS.BLOCKED, 1.1);
+        cubeGroup.add(blockedOutline);
+    }
+    blockedOutline.userData.cell = index;
+    placeCellOutline(blockedOutline, index);
+    blockedOutline.visible = true;
 }
 
 function handleCubeClick(event) {
-    // Calculate mouse position in normalized device coordinates
-    mouse.x = (event.clientX / window.innerWidth) * 2 - 1;
-    mouse.y = -(event.clientY / window.innerHeight) * 2 + 1;
+    const index = pickCell(event.clientX, event.clientY);
+    
+    if (index !== null) {
+        tryLocalMove(index);
+    }
+}
+
+function getMoveTarget(index) {
+    // Gravity games drop into the picked cell's column instead
+    if (index === null || !usesGravity()) return index;
+    return getDropCell(game, index);
+}
+
+function tryLocalMove(picked) {
+    // Shared checks for every local input - clicks, taps, keys and the accessible grid
+    if (isGameOver(game) || !isLocalHumanTurn() || previewPly !== null || isTwisting) return;
+    const index = getMoveTarget(picked);
+    if (index === null) return;
+    if (usesCenterCubeButton() && index === CENTER_INDEX && isFadingOut) return;
+    if (!isLegalMove(game, index)) return;
+    
+    requestMove(index);
+}
+
+function tryLocalTwist(name) {
+    if (!canTwist(name)) return;
+    
+    requestTwist(name);
+}
+
+function canTwist(name) {
+    return isLocalHumanTurn() && previewPly === null && !isTwisting && !isFadingOut && isLegalTwist(game, name);
+}
+
+function pickCell(clientX, clientY) {
+    // Calculate pointer position in normalized device coordinates
+    mouse.x = (clientX / window.innerWidth) * 2 - 1;
+    mouse.y = -(clientY / window.innerHeight) * 2 + 1;
     
     // Update the picking ray with the camera and mouse position
     raycaster.setFromCamera(mouse, camera);
@@ -361,57 +741,86 @@ function handleCubeClick(event) {
     
     const intersects = raycaster.intersectObjects(allClickableObjects, false);
     
-    if (intersects.length > 0) {
-        const clickedObject = intersects[0].object;
-        
-        // Find the parent cube
-        let targetCube = clickedObject;
-        if (clickedObject.userData.faceIndex !== undefined) {
-            // Clicked on a sticker, get parent cube
-            targetCube = clickedObject.parent;
-        } else if (!targetCube.userData.hasOwnProperty('index')) {
-            // Clicked on something else, try to find parent cube
-            while (targetCube.parent && !targetCube.userData.hasOwnProperty('index')) {
-                targetCube = targetCube.parent;
-            }
-        }
-        
-        if (targetCube.userData && !targetCube.userData.claimed) {
-            claimCube(targetCube);
+    if (intersects.length === 0) return null;
+    
+    const clickedObject = intersects[0].object;
+    
+    // Facelet cells are the outer stickers themselves
+    if (usesFacelets()) {
+        if (clickedObject.userData.faceIndex === undefined) return null;
+        const cubeCoords = indexToCoords(clickedObject.parent.userData.index, game.size);
+        const facelet = stickerToFacelet(cubeCoords, clickedObject.userData.faceIndex, game.size);
+        return facelet >= 0 ? facelet : null;
+    }
+    
+    // Find the parent cube
+    let targetCube = clickedObject;
+    if (clickedObject.userData.faceIndex !== undefined) {
+        // Clicked on a sticker, get parent cube
+        targetCube = clickedObject.parent;
+    } else if (!targetCube.userData.hasOwnProperty('index')) {
+        // Clicked on something else, try to find parent cube
+        while (targetCube.parent && !targetCube.userData.hasOwnProperty('index')) {
+            targetCube = targetCube.parent;
         }
     }
+    
+    return targetCube.userData.hasOwnProperty('index') ? targetCube.userData.index : null;
 }
 
 function onCenterCubeClick() {
-    if (gameEnded || isFadingOut) return;
-    
-    const centerCubeIndex = 13; // Center cube in 3x3x3 grid (position [1,1,1])
-    
-    // Check if center cube is already claimed
-    if (gameBoard[centerCubeIndex] !== 0) return;
+    if (isFadingOut || previewPly !== null || !isLegalMove(game, CENTER_INDEX)) return;
     
     // Get the current player's color before claiming
-    const playerColor = currentPlayer === 1 ? COLORS.RED : COLORS.BLUE;
-    
-    // IMMEDIATELY claim the center cube for the current player
-    const centerCube = cubePieces[centerCubeIndex];
-    centerCube.userData.claimed = true;
-    gameBoard[centerCubeIndex] = currentPlayer;
-    
-    // Store the player who made this move before switching
-    const playerWhoMoved = currentPlayer;
-    
-    // Switch players immediately to prevent double moves
-    currentPlayer = currentPlayer === 1 ? 2 : 1;
+    const playerColor = getPlayerColor(game.currentPlayer);
+    
+    // IMMEDIATELY claim the center cube - the engine switches players so no double moves
+    const playerWhoMoved = game.currentPlayer;
+    const previous = game;
+    game = applyMove(game, CENTER_INDEX);
+    recordHistory();
+    announce(`${getPlayerName(playerWhoMoved)} claimed the center cube.`);
+    playMoveSounds(previous, playerWhoMoved);
+    if (!isGameOver(game)) announceTurn();
     updateUI();
     updateCenterCubeButtons();
+    scheduleComputerMove();
     
-    // Start fade animations (but cube is already claimed)
-    startFadeAnimations(playerColor, centerCubeIndex, playerWhoMoved);
+    // Start fade animations (but cube is already claimed), the result is revealed afterwards
+    startFadeAnimations(playerColor, CENTER_INDEX, game);
 }
 
-function startFadeAnimations(playerColor, centerCubeIndex, playerWhoMoved) {
+function startFadeAnimations(playerColor, centerCubeIndex, result) {
+    const round = roundNumber;
+    
+    function reveal() {
+        // Cube already claimed above, change stickers to player color
+        paintCell(centerCubeIndex, result.board[centerCubeIndex]);
+        
+        isFadingOut = false;
+        updateHistoryControls();
+        releaseClocks('fade');
+        
+        // Reveal a win or draw made by the center move itself
+        if (isGameOver(result)) {
+            endGame(result.winner, result.winningLines);
+            return;
+        }
+        
+        // A computer player waits for the fade before moving
+        scheduleComputerMove();
+    }
+    
+    // A loaded record skips the fade, so its result is in place while the record is still replaying
+    if (replayingRecord) {
+        syncCenterCubeView(result.board);
+        reveal();
+        return;
+    }
+    
     isFadingOut = true;
+    updateHistoryControls();
+    holdClocks('fade'); // The fade isn't thinking time
     const fadeDuration = 1000; // 1 second
     
     // Start background glow fade-in
@@ -419,37 +828,9 @@ function startFadeAnimations(playerColor, centerCubeIndex, playerWhoMoved) {
     
     // Start cube fade-out for both cubes
     fadeOutCenterCubes(fadeDuration, () => {
-        // Callback when fade is complete - cube already claimed above
-        const centerCube = cubePieces[centerCubeIndex];
-        
-        // Change stickers to player color
-        centerCube.userData.stickers.forEach(sticker => {
-            sticker.material.color.setHex(playerColor);
-        });
-        
-        // Check for win using the player who just moved
-        const originalCurrentPlayer = currentPlayer;
-        currentPlayer = playerWhoMoved; // Temporarily switch to check win
-        
-        const winningPattern = checkWin();
-        if (centerCubeIndex === 13) {
-            console.log('CENTER CUBE CLAIMED! Player:', playerWhoMoved, 'GameBoard[13]:', gameBoard[13], 'Pattern found:', winningPattern);
-        }
-        if (winningPattern !== false) {
-            console.log('WIN DETECTED VIA CENTER CUBE! Pattern:', winningPattern, 'Player:', playerWhoMoved);
-            console.log('Calling endGame for center cube win...');
-            endGame(playerWhoMoved, winningPattern);
-            return;
-        }
-        
-        // Check for draw
-        if (gameBoard.every(cell => cell !== 0)) {
-            endGame(0); // Draw
-            return;
-        }
-        
-        // Restore current player
-        currentPlayer = originalCurrentPlayer;
+        // A new game was started while fading
+        if (round !== roundNumber) return;
+        reveal();
     });
 }
 
@@ -457,33 +838,26 @@ function fadeInBackgroundGlow(playerColor, duration) {
     const backgroundGlow = document.getElementById('background-glow');
     if (!backgroundGlow) return;
     
-    const colorHex = playerColor === COLORS.RED ? '#ff0000' : '#0000ff';
-    const startTime = Date.now();
+    const colorHex = colorToCss(playerColor);
+    const round = roundNumber;
+    playSweep(duration);
     
     // Show element immediately but fully transparent
     backgroundGlow.style.background = `radial-gradient(circle at center, ${colorHex} 0%, ${colorHex}aa 8%, ${colorHex}66 16%, ${colorHex}33 24%, transparent 30%)`;
     backgroundGlow.style.display = 'block';
     backgroundGlow.style.opacity = '0';
     
-    function animate() {
-        const elapsed = Date.now() - startTime;
-        const progress = Math.min(elapsed / duration, 1);
-        
-        // Ease-in-out for smooth animation
-        const easeProgress = 0.5 * (1 - Math.cos(Math.PI * progress));
-        backgroundGlow.style.opacity = (0.8 * easeProgress).toString();
-        
-        if (progress < 1) {
-            requestAnimationFrame(animate);
+    startTween('background-glow', {
+        duration: duration,
+        update: value => {
+            if (round !== roundNumber) return;
+            backgroundGlow.style.opacity = (0.8 * value).toString();
         }
-    }
-    
-    requestAnimationFrame(animate);
+    });
 }
 
 function fadeOutCenterCubes(duration, callback) {
-    const startTime = Date.now();
-    const startOpacity = 1;
+    const round = roundNumber;
     
     // Set all materials to transparent mode at start for both cubes
     Object.values(centerCubes).forEach(cube => {
@@ -498,37 +872,32 @@ function fadeOutCenterCubes(duration, callback) {
         }
     });
     
-    function animate() {
-        const elapsed = Date.now() - startTime;
-        const progress = Math.min(elapsed / duration, 1);
-        
-        // Ease-in-out for smooth animation
-        const easeProgress = 0.5 * (1 - Math.cos(Math.PI * progress));
-        const opacity = startOpacity * (1 - easeProgress);
-        
-        // Update opacity for all children in both cubes
-        Object.values(centerCubes).forEach(cube => {
-            if (cube.group) {
-                cube.group.children.forEach(child => {
-                    if (child.material) {
-                        child.material.opacity = opacity;
-                        child.material.needsUpdate = true;
-                    }
-                });
-            }
-        });
-        
-        if (progress < 1) {
-            requestAnimationFrame(animate);
-        } else {
+    startTween('center-fade', {
+        duration: duration,
+        update: value => {
+            if (round !== roundNumber) return;
+            
+            // Update opacity for all children in both cubes
+            Object.values(centerCubes).forEach(cube => {
+                if (cube.group) {
+                    cube.group.children.forEach(child => {
+                        if (child.material) {
+                            child.material.opacity = 1 - value;
+                            child.material.needsUpdate = true;
+                        }
+                    });
+                }
+            });
+        },
+        complete: () => {
+            if (round !== roundNumber) return;
+            
             // Animation complete - hide both cube containers
             document.getElementById('center-cube-container-1').style.display = 'none';
             document.getElementById('center-cube-container-2').style.display = 'none';
             callback();
         }
-    }
-    
-    requestAnimationFrame(animate);
+    });
 }
 
 function createCenterAura(playerColor) {
@@ -540,7 +909,7 @@ function createCenterAura(playerColor) {
     // Show the background glow with appropriate color
     const backgroundGlow = document.getElementById('background-glow');
     if (backgroundGlow) {
-        const colorHex = playerColor === COLORS.RED ? '#ff0000' : '#0000ff';
+        const colorHex = colorToCss(playerColor);
         backgroundGlow.style.background = `radial-gradient(circle at center, ${colorHex} 0%, ${colorHex}aa 8%, ${colorHex}66 16%, ${colorHex}33 24%, transparent 30%)`;
         backgroundGlow.style.display = 'block';
         console.log('Background glow applied:', colorHex, backgroundGlow.style.background);
@@ -556,9 +925,6 @@ function createCenterCubeButtons() {
     // Create both player cubes
     createSingleCenterCube('player1', 'center-cube-container-1');
     createSingleCenterCube('player2', 'center-cube-container-2');
-    
-    // Start animation for both cubes
-    animateCenterCubes();
 }
 
 function createSingleCenterCube(player, containerId) {
@@ -577,11 +943,6 @@ function createSingleCenterCube(player, containerId) {
     cube.camera.position.set(2, 2, 2);
     cube.camera.lookAt(0, 0, 0);
     
-    // Create renderer
-    cube.renderer = new THREE.WebGLRenderer({ antialias: true, alpha: true });
-    cube.renderer.setSize(80, 80);
-    cube.renderer.setClearColor(0x000000, 0);
-    
     // Add lighting
     const ambientLight = new THREE.AmbientLight(0xffffff, 0.6);
     cube.scene.add(ambientLight);
@@ -608,7 +969,7 @@ function createSingleCenterCube(player, containerId) {
     
     // Create inner solid cube - Player 1 starts active (red), Player 2 starts inactive (gray)
     const innerGeometry = new THREE.BoxGeometry(0.333, 0.333, 0.333);
-    const innerColor = (player === 'player1') ? COLORS.RED : 0x666666;
+    const innerColor = (player === 'player1') ? getPlayerColor(1) : 0x666666;
     
     const innerMaterial = new THREE.MeshPhongMaterial({ 
         color: innerColor,
@@ -623,33 +984,46 @@ function createSingleCenterCube(player, containerId) {
     const innerEdges = new THREE.EdgesGeometry(innerGeometry);
     const innerEdgeMaterial = new THREE.LineBasicMaterial({ 
         color: 0x000000, 
-        linewidth: 1
+        linewidth: 1,
+        transparent: true // For dim
     });
     const innerWireframe = new THREE.LineSegments(innerEdges, innerEdgeMaterial);
     cube.group.add(innerWireframe);
     
-    // Add to HTML container
-    const container = document.getElementById(containerId);
-    container.appendChild(cube.renderer.domElement);
+    // The HTML container marks where the cube is drawn and works as the button
+    cube.element = document.getElementById(containerId);
     
     // Set initial clickability - Player 1 starts clickable, Player 2 starts unclickable
-    cube.renderer.domElement.addEventListener('click', onCenterCubeClick);
+    cube.element.addEventListener('click', () => tryLocalMove(CENTER_INDEX));
+    
+    // Keyboard and screen reader access to the button
+    cube.element.tabIndex = 0;
+    cube.element.setAttribute('role', 'button');
+    cube.element.setAttribute('aria-label', `Claim the hidden center cube (${getPlayerName(player === 'player1' ? 1 : 2)})`);
+    cube.element.addEventListener('keydown', event => {
+        if (event.key === 'Enter' || event.key === ' ') {
+            event.preventDefault();
+            tryLocalMove(CENTER_INDEX);
+        }
+    });
     if (player === 'player1') {
-        cube.renderer.domElement.style.cursor = 'pointer';
-        cube.renderer.domElement.style.opacity = '1';
-        cube.renderer.domElement.style.pointerEvents = 'auto';
+        cube.element.style.cursor = 'pointer';
+        cube.dim = 1;
+        cube.element.style.pointerEvents = 'auto';
     } else {
-        cube.renderer.domElement.style.cursor = 'not-allowed';
-        cube.renderer.domElement.style.opacity = '0.6';
-        cube.renderer.domElement.style.pointerEvents = 'none';
+        cube.element.style.cursor = 'not-allowed';
+        cube.dim = 0.6;
+        cube.element.style.pointerEvents = 'none';
     }
 }
 
-function animateCenterCubes() {
-    if (gameEnded) return;
+// Called every frame by the main loop
+function updateCenterCubes() {
+    // Keep spinning until a pending center-cube fade has finished
+    if (!usesCenterCubeButton() || (isGameOver(game) && !isFadingOut)) return;
     
     // Auto-rotate both cubes slowly
-    const time = Date.now() * 0.001;
+    const time = getTweenTime() * 0.001;
     
     Object.values(centerCubes).forEach(cube => {
         if (cube.group) {
@@ -657,75 +1031,111 @@ function animateCenterCubes() {
             cube.group.rotation.y = time * 0.4;
             cube.group.rotation.z = time * 0.2;
         }
-        
-        // Render the cube
-        if (cube.renderer && cube.scene && cube.camera) {
-            cube.renderer.render(cube.scene, cube.camera);
-        }
     });
+}
+
+// Draws both cubes over their containers once the board is drawn - the main canvas fills the window
+function renderCenterCubes() {
+    if (!usesCenterCubeButton()) return;
     
-    requestAnimationFrame(animateCenterCubes);
+    renderer.autoClear = false;
+    renderer.setScissorTest(true);
+    Object.values(centerCubes).forEach(cube => {
+        const rect = cube.element.getBoundingClientRect();
+        if (rect.width === 0) return; // Hidden after the fade
+        
+        // Viewports count up from the bottom of the canvas
+        const bottom = window.innerHeight - rect.bottom;
+        renderer.setViewport(rect.left, bottom, rect.width, rect.height);
+        renderer.setScissor(rect.left, bottom, rect.width, rect.height);
+        renderer.clearDepth();
+        
+        // Dimming the cube dims every material, for this draw only
+        const materials = cube.group.children.map(child => child.material);
+        const opacities = materials.map(material => material.opacity);
+        materials.forEach(material => {
+            material.opacity *= cube.dim;
+        });
+        renderer.render(cube.scene, cube.camera);
+        materials.forEach((material, i) => {
+            material.opacity = opacities[i];
+        });
+    });
+    renderer.setScissorTest(false);
+    renderer.setViewport(0, 0, window.innerWidth, window.innerHeight);
+    renderer.autoClear = true;
 }
 
 function updateCenterCubeButtons() {
-    const centerCubeIndex = 13;
+    if (!usesCenterCubeButton()) return;
     
-    if (gameBoard[centerCubeIndex] !== 0) {
+    if (game.board[CENTER_INDEX] !== 0) {
         // Center cube is claimed - make both gray and disable
         Object.values(centerCubes).forEach(cube => {
             if (cube.inner) {
                 cube.inner.material.color.setHex(0x666666);
             }
-            if (cube.renderer && cube.renderer.domElement) {
-                cube.renderer.domElement.style.cursor = 'not-allowed';
-                cube.renderer.domElement.style.opacity = '0.5';
+            if (cube.element) {
+                cube.element.style.cursor = 'not-allowed';
+                cube.dim = 0.5;
             }
         });
     } else {
         // Update colors based on current player
         updateCubeColors();
+        
+        // No center opening - both buttons wait for the second move
+        if (game.noCenterOpening && game.moves.length === 0) {
+            Object.values(centerCubes).forEach(cube => {
+                if (cube.element) {
+                    cube.element.style.cursor = 'not-allowed';
+                    cube.dim = 0.6;
+                    cube.element.style.pointerEvents = 'none';
+                }
+            });
+        }
     }
 }
 
 function updateCubeColors() {
-    console.log('updateCubeColors called, currentPlayer:', currentPlayer);
+    console.log('updateCubeColors called, currentPlayer:', game.currentPlayer);
     
     // Player 1 cube
     if (centerCubes.player1.group) {
-        const isPlayer1Active = currentPlayer === 1;
+        const isPlayer1Active = game.currentPlayer === 1;
         
         console.log('Player 1 - Active:', isPlayer1Active);
         animateCubeTransition(centerCubes.player1, 'player1', isPlayer1Active);
         
-        if (centerCubes.player1.renderer && centerCubes.player1.renderer.domElement) {
+        if (centerCubes.player1.element) {
             if (isPlayer1Active) {
-                centerCubes.player1.renderer.domElement.style.cursor = 'pointer';
-                centerCubes.player1.renderer.domElement.style.opacity = '1';
-                centerCubes.player1.renderer.domElement.style.pointerEvents = 'auto';
+                centerCubes.player1.element.style.cursor = 'pointer';
+                centerCubes.player1.dim = 1;
+                centerCubes.player1.element.style.pointerEvents = 'auto';
             } else {
-                centerCubes.player1.renderer.domElement.style.cursor = 'not-allowed';
-                centerCubes.player1.renderer.domElement.style.opacity = '0.6';
-                centerCubes.player1.renderer.domElement.style.pointerEvents = 'none';
+                centerCubes.player1.element.style.cursor = 'not-allowed';
+                centerCubes.player1.dim = 0.6;
+                centerCubes.player1.element.style.pointerEvents = 'none';
             }
         }
     }
     
     // Player 2 cube
     if (centerCubes.player2.group) {
-        const isPlayer2Active = currentPlayer === 2;
+        const isPlayer2Active = game.currentPlayer === 2;
         
         console.log('Player 2 - Active:', isPlayer2Active);
         animateCubeTransition(centerCubes.player2, 'player2', isPlayer2Active);
         
-        if (centerCubes.player2.renderer && centerCubes.player2.renderer.domElement) {
+        if (centerCubes.player2.element) {
             if (isPlayer2Active) {
-                centerCubes.player2.renderer.domElement.style.cursor = 'pointer';
-                centerCubes.player2.renderer.domElement.style.opacity = '1';
-                centerCubes.player2.renderer.domElement.style.pointerEvents = 'auto';
+                centerCubes.player2.element.style.cursor = 'pointer';
+                centerCubes.player2.dim = 1;
+                centerCubes.player2.element.style.pointerEvents = 'auto';
             } else {
-                centerCubes.player2.renderer.domElement.style.cursor = 'not-allowed';
-                centerCubes.player2.renderer.domElement.style.opacity = '0.6';
-                centerCubes.player2.renderer.domElement.style.pointerEvents = 'none';
+                centerCubes.player2.element.style.cursor = 'not-allowed';
+                centerCubes.player2.dim = 0.6;
+                centerCubes.player2.element.style.pointerEvents = 'none';
             }
         }
     }
@@ -733,10 +1143,9 @@ function updateCubeColors() {
 
 function animateCubeTransition(cubeObj, player, isActive) {
     const duration = 1000; // 1 second for smoother transition
-    const startTime = Date.now();
     
     // Determine target colors and opacity based on active state
-    const targetInnerColor = isActive ? (player === 'player1' ? COLORS.RED : COLORS.BLUE) : 0xffffff;
+    const targetInnerColor = isActive ? getPlayerColor(player === 'player1' ? 1 : 2) : 0xffffff;
     const targetInnerOpacity = isActive ? 1.0 : 0.3; // translucent when inactive
     const targetBorderColor = isActive ? 0x000000 : 0x666666; // black when active, gray when inactive
     
@@ -751,13 +1160,7 @@ function animateCubeTransition(cubeObj, player, isActive) {
     const endOuterColor = new THREE.Color(targetBorderColor);
     const endInnerWireColor = new THREE.Color(targetBorderColor);
     
-    function animate() {
-        const elapsed = Date.now() - startTime;
-        const progress = Math.min(elapsed / duration, 1);
-        
-        // Ease-in-out for smooth animation
-        const easeProgress = 0.5 * (1 - Math.cos(Math.PI * progress));
-        
+    function update(easeProgress) {
         // Animate inner cube color and opacity
         const currentInnerColor = startInnerColor.clone().lerp(endInnerColor, easeProgress);
         const currentInnerOpacity = startInnerOpacity + (targetInnerOpacity - startInnerOpacity) * easeProgress;
@@ -778,307 +1181,2431 @@ function animateCubeTransition(cubeObj, player, isActive) {
             cubeObj.group.children[2].material.color.copy(currentInnerWireColor);
             cubeObj.group.children[2].material.needsUpdate = true;
         }
-        
-        if (progress < 1) {
-            requestAnimationFrame(animate);
-        }
     }
     
-    requestAnimationFrame(animate);
+    // Named per cube, so a quick change of turn replaces the transition instead of racing it
+    startTween(`center-${player}`, { duration: duration, update: update });
 }
 
 // Global variables for flashing state
+const FLASH_DURATION = 400; // Half cycle duration in ms
+const FLASH_SOUND_BEATS = 8; // Half cycles of the win flash that get a sound pulse
 let flashState = {
-    active: false,
-    isYellow: true,
-    cycleStart: 0,
+    beats: 0, // Half cycles so far, for the sound pulse
     stickers: [],
     backgroundGlow: null,
     hasCenterCube: false,
     playerColor: 0x000000
 };
 
-function startWinningFlash(winningPattern, playerColor) {
-    const FLASH_DURATION = 400; // Half cycle duration in ms
-    const YELLOW = 0xFFFF00;
-    
+function startWinningFlash(winningLines, playerColor) {
     // Setup - collect all elements and stickers
-    flashState.active = true;
-    flashState.isYellow = true;
-    flashState.cycleStart = Date.now();
+    flashState.beats = 0;
+    playPulse(0, 0);
     flashState.playerColor = playerColor;
-    flashState.hasCenterCube = winningPattern.includes(13);
+    flashState.hasCenterCube = usesCenterCubeButton() && winningLines.some(line => line.includes(CENTER_INDEX));
     flashState.backgroundGlow = document.getElementById('background-glow');
     flashState.stickers = [];
     
-    // Collect winning stickers
-    let patternIndex = 0;
-    while (patternIndex < winningPattern.length) {
-        const index = winningPattern[patternIndex];
-        const cube = cubePieces[index];
-        if (cube && cube.userData.stickers) {
-            let stickerIndex = 0;
-            while (stickerIndex < cube.userData.stickers.length) {
-                flashState.stickers.push(cube.userData.stickers[stickerIndex]);
-                stickerIndex++;
-            }
-        }
-        patternIndex++;
-    }
+    // Collect winning stickers - lines can share cells, so each cell only once
+    const cells = new Set(winningLines.flat());
+    cells.forEach(index => {
+        flashState.stickers.push(...getCellStickers(index));
+    });
     
-    // Perform initial flash update
-    const now = Date.now();
-    const elapsed = now - flashState.cycleStart;
-    const progress = Math.min(elapsed / FLASH_DURATION, 1);
-    const easeProgress = 0.5 * (1 - Math.cos(Math.PI * progress));
-    
-    // Calculate current color
-    const currentColorValue = flashState.isYellow ? YELLOW : playerColor;
-    const targetColorValue = flashState.isYellow ? playerColor : YELLOW;
-    const currentColor = new THREE.Color(currentColorValue);
-    const targetColor = new THREE.Color(targetColorValue);
-    const interpolatedColor = currentColor.clone();
-    interpolatedColor.r += (targetColor.r - currentColor.r) * easeProgress;
-    interpolatedColor.g += (targetColor.g - currentColor.g) * easeProgress;
-    interpolatedColor.b += (targetColor.b - currentColor.b) * easeProgress;
+    // Flashes until the next game cancels it
+    startTween('win-flash', { duration: Infinity, ease: linear, update: (value, elapsed) => updateWinningFlash(elapsed) });
+}
+
+function updateWinningFlash(elapsed) {
+    // Paused while the timeline shows an earlier ply
+    if (previewPly !== null) return;
+    
+    // Even half cycles run from yellow to the player's color, odd ones back
+    const YELLOW = 0xFFFF00;
+    const beat = Math.floor(elapsed / FLASH_DURATION);
+    const fromYellow = beat % 2 === 0;
+    const easeProgress = easeInOut((elapsed % FLASH_DURATION) / FLASH_DURATION);
+    const currentColor = new THREE.Color(fromYellow ? YELLOW : flashState.playerColor);
+    const targetColor = new THREE.Color(fromYellow ? flashState.playerColor : YELLOW);
+    const interpolatedColor = currentColor.lerp(targetColor, easeProgress);
     
     // Update all stickers
-    let i = 0;
-    while (i < flashState.stickers.length) {
-        const sticker = flashState.stickers[i];
+    flashState.stickers.forEach(sticker => {
         sticker.material.color.copy(interpolatedColor);
         sticker.material.needsUpdate = true;
-        i++;
-    }
+    });
     
     // Update ambient light if center cube involved
     if (flashState.hasCenterCube && flashState.backgroundGlow && flashState.backgroundGlow.style.display !== 'none') {
-        const r = Math.round(interpolatedColor.r * 255);
-        let rHex = r.toString(16);
-        if (rHex.length < 2) rHex = '0' + rHex;
-        const g = Math.round(interpolatedColor.g * 255);
-        let gHex = g.toString(16);
-        if (gHex.length < 2) gHex = '0' + gHex;
-        const b = Math.round(interpolatedColor.b * 255);
-        let bHex = b.toString(16);
-        if (bHex.length < 2) bHex = '0' + bHex;
-        const hex = '#' + rHex + gHex + bHex;
-        const gradientStr = 'radial-gradient(circle at center, ' + hex + ' 0%, ' + hex + 'aa 8%, ' + hex + '66 16%, ' + hex + '33 24%, transparent 30%)';
-        flashState.backgroundGlow.style.background = gradientStr;
+        const hex = colorToCss(interpolatedColor.getHex());
+        flashState.backgroundGlow.style.background = `radial-gradient(circle at center, ${hex} 0%, ${hex}aa 8%, ${hex}66 16%, ${hex}33 24%, transparent 30%)`;
     }
     
-    // Check if cycle complete and update state for next call
-    if (progress >= 1) {
-        flashState.isYellow = !flashState.isYellow;
-        flashState.cycleStart = Date.now();
+    // The sound pulses along for the first few half cycles
+    if (beat > flashState.beats) {
+        flashState.beats = beat;
+        if (beat < FLASH_SOUND_BEATS) playPulse(beat % 2, beat);
     }
 }
 
-function claimCube(cube) {
-    const cubeIndex = cube.userData.index;
-    const playerColor = currentPlayer === 1 ? COLORS.RED : COLORS.BLUE;
-    
-    // Mark as claimed
-    cube.userData.claimed = true;
-    gameBoard[cubeIndex] = currentPlayer;
-    
-    // Change all stickers to player color
-    cube.userData.stickers.forEach(sticker => {
-        sticker.material.color.setHex(playerColor);
-    });
-    
-    // Fade out instructions after first move
-    if (!firstMoveMade) {
-        firstMoveMade = true;
-        const instructions = document.getElementById('instructions');
-        instructions.classList.add('fade-out');
-        setTimeout(() => {
-            instructions.style.display = 'none';
-        }, 800);
-    }
-    
-    // Check for win
-    const winningPattern = checkWin();
-    if (cubeIndex === 13) {
-        console.log('CENTER CUBE CLAIMED! Player:', currentPlayer, 'GameBoard[13]:', gameBoard[13], 'Pattern found:', winningPattern);
+function claimCell(index) {
+    const playerWhoMoved = game.currentPlayer;
+    const previous = game;
+    
+    // Apply the move through the engine
+    game = applyMove(game, index);
+    recordHistory();
+    announce(`${getPlayerName(playerWhoMoved)} claimed ${describeCell(index)}.`);
+    playMoveSounds(previous, playerWhoMoved);
+    
+    // Change the cell's stickers to player color - a hover tint blends into it as the cell pops
+    const fromColor = getCellStickers(index)[0].material.color.clone();
+    paintCell(index, playerWhoMoved);
+    if (!replayingRecord) {
+        animateClaim(index, fromColor);
     }
-    if (winningPattern !== false) {
-        console.log('WIN DETECTED! Pattern:', winningPattern, 'Player:', currentPlayer);
-        endGame(currentPlayer, winningPattern);
-        return;
+    if (usesGravity() && !replayingRecord) {
+        animateDrop(index);
     }
+    hideInstructions();
     
-    // Check for draw
-    if (gameBoard.every(cell => cell !== 0)) {
-        endGame(0); // Draw
+    // Check for win or draw
+    if (isGameOver(game)) {
+        endGame(game.winner, game.winningLines);
         return;
     }
     
-    // Switch players
-    currentPlayer = currentPlayer === 1 ? 2 : 1;
+    announceTurn();
     updateUI();
     updateCenterCubeButtons();
+    scheduleComputerMove();
 }
 
-function checkWin() {
-    // 3D Tic-tac-toe win conditions
-    // Index mapping: index = x * 9 + y * 3 + z
-    // So for position (x,y,z): index = x*9 + y*3 + z
-    const winPatterns = [
-        // Horizontal lines (X direction) - 9 patterns
-        [0,1,2], [3,4,5], [6,7,8], // Layer z=0, y=0,1,2
-        [9,10,11], [12,13,14], [15,16,17], // Layer z=1, y=0,1,2
-        [18,19,20], [21,22,23], [24,25,26], // Layer z=2, y=0,1,2
-        
-        // Vertical lines (Y direction) - 9 patterns
-        [0,3,6], [1,4,7], [2,5,8], // Layer z=0, x=0,1,2
-        [9,12,15], [10,13,16], [11,14,17], // Layer z=1, x=0,1,2
-        [18,21,24], [19,22,25], [20,23,26], // Layer z=2, x=0,1,2
-        
-        // Depth lines (Z direction) - 9 patterns
-        [0,9,18], [1,10,19], [2,11,20], // y=0, x=0,1,2
-        [3,12,21], [4,13,22], [5,14,23], // y=1, x=0,1,2
-        [6,15,24], [7,16,25], [8,17,26], // y=2, x=0,1,2
-        
-        // Face diagonals on XY planes (6 patterns)
-        [0,4,8], [2,4,6], // z=0 layer diagonals
-        [9,13,17], [11,13,15], // z=1 layer diagonals
-        [18,22,26], [20,22,24], // z=2 layer diagonals
-        
-        // Face diagonals on XZ planes (6 patterns)
-        [0,12,24], [6,12,18], // y=0 plane diagonals
-        [1,13,25], [7,13,19], // y=1 plane diagonals
-        [2,14,26], [8,14,20], // y=2 plane diagonals
+const CLAIM_POP_DURATION = 250; // ms
+const CLAIM_POP_SCALE = 0.18; // Extra size at the top of the pop
+
+function animateClaim(index, fromColor) {
+    // Cubes pop as a whole; a facelet only pops its own sticker
+    const stickers = getCellStickers(index);
+    const target = usesFacelets() ? stickers[0] : cubePieces[index];
+    const toColor = stickers[0].material.color.clone();
+    const round = roundNumber;
+    let shownColor = fromColor.clone();
+    let ownsColor = true;
+    stickers.forEach(sticker => sticker.material.color.copy(shownColor));
+    
+    function update(progress) {
+        if (round !== roundNumber) {
+            target.scale.set(1, 1, 1);
+            return;
+        }
         
-        // Face diagonals on YZ planes (6 patterns)
-        [0,10,20], [6,16,26], // x=0 plane diagonals
-        [3,13,23], [5,13,21], // x=1 plane diagonals
-        [2,12,22], [8,16,24], // x=2 plane diagonals (fixed)
+        target.scale.setScalar(1 + CLAIM_POP_SCALE * Math.sin(Math.PI * progress));
         
-        // 3D space diagonals (4 patterns - the main cube diagonals)
-        [0,13,26], [2,13,24], [6,13,20], [8,13,18]
-    ];
-    
-    for (const pattern of winPatterns) {
-        if (pattern.includes(13)) {
-            console.log('Checking pattern with center:', pattern, 'Values:', pattern.map(i => `${i}:${gameBoard[i]}`), 'CurrentPlayer:', currentPlayer);
-        }
-        if (pattern.every(index => gameBoard[index] === currentPlayer)) {
-            console.log('WINNING PATTERN FOUND:', pattern);
-            return pattern;
+        // Stop coloring once something else repaints the cell, e.g. the win flash or an undo
+        ownsColor = ownsColor && stickers[0].material.color.equals(shownColor);
+        if (ownsColor) {
+            shownColor = fromColor.clone().lerp(toColor, progress);
+            stickers.forEach(sticker => sticker.material.color.copy(shownColor));
         }
     }
-    
-    console.log('No winning pattern found');
-    return false;
+    startTween(`claim-${index}`, { duration: CLAIM_POP_DURATION, ease: linear, update: update });
 }
 
-function endGame(winner, winningPattern = null) {
-    console.log('endGame called - Winner:', winner, 'Pattern:', winningPattern, 'gameEnded before:', gameEnded);
-    gameEnded = true;
-    
-    const winMessage = document.getElementById('win-message');
-    console.log('Win message element found:', !!winMessage);
-    
-    if (winner === 0) {
-        winMessage.textContent = "DRAW";
-        winMessage.style.color = '#000000';
-        // No flashing for draws
-    } else if (winner === 1) {
-        winMessage.textContent = "PLAYER 1 WINS!";
-        winMessage.style.color = '#FF0000';
-        
-        // Start flashing animations for winning pattern
-        if (winningPattern) {
-            startWinningFlash(winningPattern, COLORS.RED);
-        }
-    } else {
-        winMessage.textContent = "PLAYER 2 WINS!";
-        winMessage.style.color = '#0000FF';
-        
-        // Start flashing animations for winning pattern
-        if (winningPattern) {
-            startWinningFlash(winningPattern, COLORS.BLUE);
-        }
+const DROP_DURATION = 350; // ms for a fall from the top of the board to the bottom
+
+function animateDrop(index) {
+    // The claimed cube falls in from above its column and lands on its cell
+    const cube = cubePieces[index];
+    const { y } = indexToCoords(index, game.size);
+    const duration = DROP_DURATION * Math.sqrt((game.size - y) / game.size);
+    cube.userData.dropping = true;
+    
+    function update(fallen) {
+        // The landing spot is worked out every frame, so the fall follows the exploded view
+        const height = (game.size - y) * getCubeSpacing();
+        cube.position.copy(getCubePosition(index));
+        cube.position.y += height * (1 - fallen);
     }
+    // Dropping the cell again after an undo restarts the fall
+    startTween(`drop-${index}`, {
+        duration: duration,
+        ease: easeIn,
+        update: update,
+        complete: () => {
+            cube.userData.dropping = false;
+        }
+    });
+}
+
+function hideInstructions() {
+    // Fade out instructions after first move
+    if (firstMoveMade) return;
     
+    firstMoveMade = true;
+    const instructions = document.getElementById('instructions');
+    instructions.classList.add('fade-out');
     setTimeout(() => {
-        winMessage.classList.add('show');
-    }, 500);
+        instructions.style.display = 'none';
+    }, 800);
+    saveProgress();
 }
 
-function updateUI() {
-    const player1UI = document.getElementById('player1');
-    const player2UI = document.getElementById('player2');
+// Layer twists - the twist variant's other kind of turn, see twists.js
+
+function requestTwist(name) {
+    // Online, the server checks the twist like any move
+    if (online) {
+        online.client.sendTwist(name);
+        return;
+    }
     
-    if (currentPlayer === 1) {
-        player1UI.classList.add('player-active');
-        player2UI.classList.remove('player-active');
+    twistLayer(name);
+}
+
+function requestTurn(move) {
+    // Recorded and server move lists hold claims as cell indexes and twists by name
+    if (typeof move === 'string') {
+        requestTwist(move);
     } else {
-        player2UI.classList.add('player-active');
-        player1UI.classList.remove('player-active');
+        requestMove(move);
     }
 }
 
-function animate() {
-    requestAnimationFrame(animate);
-    
-    // Update controls
-    if (controls) {
-        controls.update();
-    }
+function twistLayer(name) {
+    const playerWhoMoved = game.currentPlayer;
+    const previous = game;
+    
+    // Apply the twist through the engine - claimed cubes travel with the layer
+    game = applyTwist(game, name);
+    recordHistory();
+    announce(`${getPlayerName(playerWhoMoved)} turned ${describeTwist(name)}.`);
+    playMoveSounds(previous, playerWhoMoved);
+    if (!isGameOver(game)) announceTurn();
+    updateUI();
+    updateCenterCubeButtons();
+    hideInstructions();
     
-    // Continue flashing animation if active
-    if (flashState.active && gameEnded) {
-        const FLASH_DURATION = 400;
-        const YELLOW = 0xFFFF00;
-        const now = Date.now();
-        const elapsed = now - flashState.cycleStart;
-        const progress = Math.min(elapsed / FLASH_DURATION, 1);
-        const easeProgress = 0.5 * (1 - Math.cos(Math.PI * progress));
-        
-        const currentColorValue = flashState.isYellow ? YELLOW : flashState.playerColor;
-        const targetColorValue = flashState.isYellow ? flashState.playerColor : YELLOW;
-        const currentColor = new THREE.Color(currentColorValue);
-        const targetColor = new THREE.Color(targetColorValue);
-        const interpolatedColor = currentColor.clone();
-        interpolatedColor.r += (targetColor.r - currentColor.r) * easeProgress;
-        interpolatedColor.g += (targetColor.g - currentColor.g) * easeProgress;
-        interpolatedColor.b += (targetColor.b - currentColor.b) * easeProgress;
-        
-        // Update all stickers
-        let i = 0;
-        while (i < flashState.stickers.length) {
-            const sticker = flashState.stickers[i];
-            sticker.material.color.copy(interpolatedColor);
-            sticker.material.needsUpdate = true;
-            i++;
-        }
-        
-        // Update ambient light if center cube involved
-        if (flashState.hasCenterCube && flashState.backgroundGlow && flashState.backgroundGlow.style.display !== 'none') {
-            const r = Math.round(interpolatedColor.r * 255);
-            let rHex = r.toString(16);
-            if (rHex.length < 2) rHex = '0' + rHex;
-            const g = Math.round(interpolatedColor.g * 255);
-            let gHex = g.toString(16);
-            if (gHex.length < 2) gHex = '0' + gHex;
-            const b = Math.round(interpolatedColor.b * 255);
-            let bHex = b.toString(16);
-            if (bHex.length < 2) bHex = '0' + bHex;
-            const hex = '#' + rHex + gHex + bHex;
-            const gradientStr = 'radial-gradient(circle at center, ' + hex + ' 0%, ' + hex + 'aa 8%, ' + hex + '66 16%, ' + hex + '33 24%, transparent 30%)';
-            flashState.backgroundGlow.style.background = gradientStr;
+    // A win or draw made by the twist is revealed once the layer has turned
+    const result = game;
+    startTwistAnimation(name, () => {
+        if (isGameOver(result)) {
+            endGame(result.winner, result.winningLines);
+            return;
         }
+        scheduleComputerMove();
+    });
+}
+
+function turnLayerMeshes(name) {
+    // Move the layer's meshes to their new cells so cubePieces stays indexed by cell
+    const { axis, direction } = getTwist(name, game.size);
+    const turn = new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3().setComponent(axis, 1), direction * Math.PI / 2);
+    const pieces = cubePieces.slice();
+    
+    return getTwistCells(name, game.size).map(([from, to]) => {
+        const cube = pieces[from];
+        cube.userData.index = to;
+        cube.position.copy(getCubePosition(to));
+        cube.quaternion.premultiply(turn);
+        cubePieces[to] = cube;
+        return cube;
+    });
+}
+
+function startTwistAnimation(name, onComplete) {
+    finishTwistAnimation();
+    finishExplodeAnimation(); // The pivot turns cubes from where they sit
+    
+    const cubes = turnLayerMeshes(name);
+    if (replayingRecord) {
+        onComplete();
+        return;
+    }
+    
+    // The meshes are already in place - a pivot turns them in from where they were
+    const { axis, direction } = getTwist(name, game.size);
+    const axisVector = new THREE.Vector3().setComponent(axis, 1);
+    const pivot = new THREE.Group();
+    cubeGroup.add(pivot);
+    cubes.forEach(cube => pivot.add(cube));
+    
+    twistAnimation = { pivot: pivot, cubes: cubes, onComplete: onComplete, round: roundNumber };
+    isTwisting = true;
+    updateHistoryControls();
+    
+    startTween('twist', {
+        duration: TWIST_DURATION,
+        update: easeProgress => {
+            pivot.quaternion.setFromAxisAngle(axisVector, -direction * Math.PI / 2 * (1 - easeProgress));
+        },
+        complete: finishTwistAnimation
+    });
+}
+
+function finishTwistAnimation() {
+    if (!twistAnimation) return;
+    
+    cancelTween('twist');
+    const { pivot, cubes, onComplete, round } = twistAnimation;
+    twistAnimation = null;
+    cubes.forEach(cube => cubeGroup.add(cube));
+    cubeGroup.remove(pivot);
+    
+    isTwisting = false;
+    updateHistoryControls();
+    
+    // A new game was started while turning
+    if (round === roundNumber) onComplete();
+}
+
+function describeTwist(name) {
+    const face = FACES.find(candidate => candidate.letter === name[0]);
+    return `the ${face.name} face ${name.endsWith("'") ? 'anticlockwise' : 'clockwise'}`;
+}
+
+function setupTwistControls() {
+    const controls = document.getElementById('twist-controls');
+    if (!usesTwists(game)) return;
+    
+    controls.hidden = false;
+    TWIST_NAMES.forEach(name => {
+        const button = document.createElement('button');
+        button.className = 'match-button';
+        button.textContent = name;
+        button.dataset.twist = name;
+        button.setAttribute('aria-label', `Turn ${describeTwist(name)}`);
+        button.addEventListener('click', () => tryLocalTwist(name));
+        controls.appendChild(button);
+    });
+    updateTwistControls();
+}
+
+function updateTwistControls() {
+    document.querySelectorAll('#twist-controls button').forEach(button => {
+        button.disabled = !canTwist(button.dataset.twist);
+    });
+}
+
+// Exploded and slice views - ways to see into the cube
+
+function setupViewControls() {
+    document.getElementById('explode-button').addEventListener('click', () => setExploded(!isExploded()));
+    
+    // Facelet cells are outer stickers, so there are no inner layers to slice
+    const axisSelect = document.getElementById('slice-axis');
+    const layerSelect = document.getElementById('slice-layer');
+    document.getElementById('slice-controls').hidden = usesFacelets();
+    for (let layer = 0; layer < game.size; layer++) {
+        layerSelect.add(new Option(`Layer ${layer + 1}`, layer));
+    }
+    axisSelect.addEventListener('change', () => {
+        setSlice(axisSelect.value === '' ? null : parseInt(axisSelect.value, 10), sliceView.layer);
+    });
+    layerSelect.addEventListener('change', () => setSlice(sliceView.axis, parseInt(layerSelect.value, 10)));
+    
+    sliceOutline = createCellOutline(COLORS.SLICE, 1);
+    sliceOutline.visible = false;
+    cubeGroup.add(sliceOutline);
+    
+    // Start on the middle layer, where the hidden center sits
+    layerSelect.value = Math.floor(game.size / 2);
+    sliceView.layer = Math.floor(game.size / 2);
+    updateViewControls();
+}
+
+function updateViewControls() {
+    const button = document.getElementById('explode-button');
+    button.disabled = isTwisting;
+    button.textContent = isExploded() ? 'Collapse' : 'Explode';
+    button.setAttribute('aria-pressed', String(isExploded()));
+}
+
+function isExploded() {
+    return explodeAnimation ? explodeAnimation.to === 1 : explodeAmount === 1;
+}
+
+function setExploded(exploded) {
+    if (isTwisting) return;
+    
+    const from = explodeAmount;
+    const to = exploded ? 1 : 0;
+    explodeAnimation = { to: to };
+    updateViewControls();
+    announce(exploded ? 'Layers spread apart.' : 'Layers packed together.');
+    
+    startTween('explode', {
+        duration: EXPLODE_DURATION,
+        update: easeProgress => {
+            explodeAmount = from + (to - from) * easeProgress;
+            layoutCubes();
+        },
+        complete: () => {
+            explodeAnimation = null;
+        }
+    });
+}
+
+function finishExplodeAnimation() {
+    finishTween('explode');
+}
+
+function layoutCubes() {
+    // Every cube onto its cell at the current spacing - a falling cube places itself
+    cubePieces.forEach(cube => {
+        if (!cube.userData.dropping) cube.position.copy(getCubePosition(cube.userData.index));
+    });
+    
+    // Outlines follow their cells
+    assistState.outlines.forEach(outline => placeCellOutline(outline, outline.userData.cell));
+    if (keyboardCursor) placeCellOutline(cursorHighlight, getCursorIndex());
+    if (replay && replay.outline) placeCellOutline(replay.outline, replay.outline.userData.cell);
+    if (blockedOutline && blockedOutline.visible) placeCellOutline(blockedOutline, blockedOutline.userData.cell);
+    placeSliceOutline();
+}
+
+function setSlice(axis, layer) {
+    sliceView = { axis: axis, layer: layer };
+    document.getElementById('slice-layer').hidden = axis === null;
+    createSliceBoard();
+    placeSliceOutline();
+    if (axis !== null) {
+        announce(`Showing layer ${['x', 'y', 'z'][axis]}${layer + 1}.`);
+    }
+}
+
+function getSliceCell(row, column) {
+    const { column: columnLayout, row: rowLayout } = SLICE_LAYOUTS[sliceView.axis];
+    const last = game.size - 1;
+    const coords = [];
+    coords[sliceView.axis] = sliceView.layer;
+    coords[rowLayout.axis] = rowLayout.reversed ? last - row : row;
+    coords[columnLayout.axis] = columnLayout.reversed ? last - column : column;
+    return coordsToIndex(coords[0], coords[1], coords[2], game.size);
+}
+
+function createSliceBoard() {
+    const board = document.getElementById('slice-board');
+    board.replaceChildren();
+    board.hidden = sliceView.axis === null;
+    if (board.hidden) return;
+    
+    board.style.gridTemplateColumns = `repeat(${game.size}, auto)`;
+    board.setAttribute('aria-label', `Layer ${['x', 'y', 'z'][sliceView.axis]}${sliceView.layer + 1}`);
+    for (let row = 0; row < game.size; row++) {
+        for (let column = 0; column < game.size; column++) {
+            const index = getSliceCell(row, column);
+            const button = document.createElement('button');
+            button.className = 'slice-cell';
+            button.dataset.index = index;
+            button.addEventListener('click', () => tryLocalMove(index));
+            board.appendChild(button);
+        }
+    }
+    updateSliceView();
+}
+
+function updateSliceView() {
+    // Shows the same position as the 3D view, timeline previews included
+    const board = previewPly !== null ? moveHistory[previewPly].board : game.board;
+    document.querySelectorAll('#slice-board button').forEach(button => {
+        const index = parseInt(button.dataset.index, 10);
+        const owner = board[index];
+        button.style.background = owner === 0 ? '' : colorToCss(getPlayerColor(owner));
+        button.textContent = owner === 0 ? '' : MARK_SYMBOLS[profiles[owner].mark];
+        button.setAttribute('aria-label', `${describeCell(index)}: ${describeOwner(owner)}`);
+    });
+}
+
+function placeSliceOutline() {
+    if (!sliceOutline) return;
+    
+    sliceOutline.visible = sliceView.axis !== null;
+    if (!sliceOutline.visible) return;
+    
+    // A flat box around the layer's cubes
+    const span = (game.size - 1) * getCubeSpacing() + CUBE_SIZE * 1.1;
+    sliceOutline.position.set(0, 0, 0).setComponent(sliceView.axis, getCubePosition(getSliceCell(0, 0)).getComponent(sliceView.axis));
+    sliceOutline.scale.set(span, span, span).setComponent(sliceView.axis, CUBE_SIZE * 1.1);
+}
+
+// Camera views - presets, the last-move snap and the idle auto-orbit, all on init's camera and controls
+
+function setupCameraControls() {
+    const presets = document.getElementById('camera-presets');
+    CAMERA_PRESETS.forEach(preset => {
+        const button = document.createElement('button');
+        button.className = 'match-button';
+        button.textContent = preset.label;
+        button.title = `${preset.label} view (${preset.key})`;
+        button.addEventListener('click', () => setCameraPreset(preset));
+        presets.appendChild(button);
+    });
+    document.getElementById('camera-last-move').addEventListener('click', faceLastMove);
+    
+    const orbitInput = document.getElementById('auto-orbit-input');
+    orbitInput.checked = autoOrbit;
+    orbitInput.addEventListener('change', () => setAutoOrbit(orbitInput.checked));
+    
+    // Dragging takes the camera back from a tween, and any input puts off the auto-orbit
+    controls.addEventListener('start', () => {
+        cancelTween('camera');
+        noteInteraction();
+    });
+    window.addEventListener('pointerdown', noteInteraction);
+    window.addEventListener('wheel', noteInteraction, { passive: true });
+    window.addEventListener('keydown', noteInteraction);
+    window.addEventListener('keydown', onCameraKeyDown);
+}
+
+function onCameraKeyDown(event) {
+    // Same focus rules as the board keys
+    const target = event.target;
+    if (target !== document.body && target !== renderer.domElement) return;
+    if (event.ctrlKey || event.metaKey || event.altKey) return;
+    
+    const key = event.key.toLowerCase();
+    const preset = CAMERA_PRESETS.find(candidate => candidate.key === key);
+    if (preset) {
+        event.preventDefault();
+        setCameraPreset(preset);
+    } else if (key === 'l') {
+        event.preventDefault();
+        faceLastMove();
+    } else if (key === 'o') {
+        event.preventDefault();
+        setAutoOrbit(!autoOrbit);
+        document.getElementById('auto-orbit-input').checked = autoOrbit;
+        announce(autoOrbit ? 'Auto-orbit on.' : 'Auto-orbit off.');
+    }
+}
+
+function setCameraPreset(preset) {
+    tweenCamera(new THREE.Vector3(...preset.direction).normalize());
+    announce(`${preset.label} view.`);
+}
+
+// Turns to the last claim on the board being shown, skipping twists
+function faceLastMove() {
+    const shown = previewPly === null ? game : moveHistory[previewPly];
+    const move = shown.moves.slice().reverse().find(candidate => !candidate.twist);
+    if (!move) {
+        announce('No moves yet.');
+        return;
+    }
+    
+    moveCameraToCell(move.index);
+    announce(`Last move: ${describeCell(move.index)}.`);
+}
+
+function moveCameraToCell(index) {
+    // Look at the cell from its own side of the cube
+    const direction = getCellPosition(index).sub(controls.target);
+    if (direction.lengthSq() < 0.01) return; // The center has no side to look from
+    direction.normalize();
+    if (Math.abs(direction.y) > 0.95) {
+        direction.z += 0.3; // Straight above or below leaves the orbit without an up direction
+        direction.normalize();
+    }
+    tweenCamera(direction);
+}
+
+// Swings the camera round controls.target to look along direction (a unit vector), keeping the distance
+function tweenCamera(direction) {
+    const offset = camera.position.clone().sub(controls.target);
+    const distance = offset.length();
+    const startDirection = offset.normalize();
+    const turn = new THREE.Quaternion().setFromUnitVectors(startDirection, direction);
+    
+    function update(easeProgress) {
+        const partial = new THREE.Quaternion().slerp(turn, easeProgress);
+        camera.position.copy(controls.target).addScaledVector(startDirection.clone().applyQuaternion(partial), distance);
+        camera.lookAt(controls.target);
+    }
+    startTween('camera', { duration: CAMERA_MOVE_DURATION, update: update });
+}
+
+function setAutoOrbit(enabled) {
+    autoOrbit = enabled;
+    noteInteraction(); // Wait for a quiet spell before the first turn
+    saveSettings();
+}
+
+function noteInteraction() {
+    lastInteraction = getTweenTime();
+}
+
+// Called every frame - OrbitControls does the turning while autoRotate is set
+function updateAutoOrbit() {
+    controls.autoRotate = autoOrbit && !isTweening('camera') && getTweenTime() - lastInteraction > IDLE_ORBIT_DELAY;
+}
+
+// Player profiles - names, colors and marks, see profiles.js
+
+function setupProfileControls() {
+    const dialog = document.getElementById('profile-dialog');
+    const paletteSelect = document.getElementById('palette-select');
+    
+    PALETTES.forEach(palette => paletteSelect.add(new Option(palette.label, palette.id)));
+    paletteSelect.add(new Option('Custom', 'custom'));
+    paletteSelect.addEventListener('change', () => {
+        const palette = PALETTES.find(candidate => candidate.id === paletteSelect.value);
+        if (!palette) return;
+        profiles[1].color = palette.colors[1];
+        profiles[2].color = palette.colors[2];
+        onProfilesChanged();
+    });
+    
+    [1, 2].forEach(player => {
+        const nameInput = document.getElementById(`profile-name-${player}`);
+        const colorInput = document.getElementById(`profile-color-${player}`);
+        const markSelect = document.getElementById(`profile-mark-${player}`);
+        MARKS.forEach(mark => markSelect.add(new Option(mark.label, mark.id)));
+        
+        nameInput.addEventListener('input', () => {
+            profiles[player].name = nameInput.value;
+            onProfilesChanged();
+        });
+        colorInput.addEventListener('input', () => {
+            profiles[player].color = cssToColor(colorInput.value);
+            onProfilesChanged();
+        });
+        markSelect.addEventListener('change', () => {
+            profiles[player].mark = markSelect.value;
+            onProfilesChanged();
+        });
+    });
+    
+    document.getElementById('profiles-button').addEventListener('click', () => {
+        updateProfileInputs();
+        dialog.showModal();
+    });
+    // Empty names fall back to the defaults once editing is done
+    dialog.addEventListener('close', () => {
+        profiles = sanitizeProfiles(profiles);
+        onProfilesChanged();
+    });
+    
+    applyProfiles();
+}
+
+function updateProfileInputs() {
+    const palette = PALETTES.find(candidate =>
+        candidate.colors[1] === profiles[1].color && candidate.colors[2] === profiles[2].color);
+    document.getElementById('palette-select').value = palette ? palette.id : 'custom';
+    
+    [1, 2].forEach(player => {
+        document.getElementById(`profile-name-${player}`).value = profiles[player].name;
+        document.getElementById(`profile-color-${player}`).value = colorToCss(profiles[player].color);
+        document.getElementById(`profile-mark-${player}`).value = profiles[player].mark;
+    });
+}
+
+function onProfilesChanged() {
+    updateProfileInputs();
+    applyProfiles();
+    saveSettings();
+}
+
+function applyProfiles() {
+    // Every place that shows a player's name or color follows the profiles
+    [1, 2].forEach(player => {
+        const panel = document.getElementById(`player${player}`);
+        document.getElementById(`player${player}-name`).textContent = getPlayerName(player) || `Player ${player}`;
+        panel.style.color = colorToCss(getPlayerColor(player));
+        document.getElementById(`series-score-${player}`).style.color = colorToCss(getPlayerColor(player));
+        
+        const centerButton = centerCubes[`player${player}`].element;
+        if (centerButton) {
+            centerButton.setAttribute('aria-label', `Claim the hidden center cube (${getPlayerName(player)})`);
+        }
+    });
+    
+    paintBoard(previewPly !== null ? moveHistory[previewPly].board : game.board);
+    updateBoardGrid();
+    updateSliceView();
+    updateCenterCubeButtons();
+    updateAssist();
+    
+    // Center glow, winning flash and win message use the owner's color too
+    if (usesCenterCubeButton() && game.board[CENTER_INDEX] !== 0 && !isFadingOut) {
+        createCenterAura(getPlayerColor(game.board[CENTER_INDEX]));
+    }
+    if (isTweening('win-flash') && game.winner) {
+        flashState.playerColor = getPlayerColor(getLineOwner(game.winner));
+    }
+    if (isGameOver(game) && game.winner !== 0) {
+        const winMessage = document.getElementById('win-message');
+        winMessage.textContent = getWinMessageText(game.winner);
+        winMessage.style.color = colorToCss(getPlayerColor(game.winner));
+    }
+}
+
+function setupPlayerSelects() {
+    [1, 2].forEach(player => {
+        const select = document.getElementById(`player${player}-type`);
+        select.add(new Option('Human', 'human'));
+        AI_LEVELS.forEach(level => select.add(new Option(`CPU ${level.label}`, level.id)));
+        select.value = playerTypes[player];
+        
+        select.addEventListener('change', () => {
+            playerTypes[player] = select.value;
+            saveSettings();
+            updateAssist(); // Hints are for human turns
+            scheduleComputerMove();
+        });
+    });
+}
+
+function isComputerTurn() {
+    // Online games are always between two people
+    return !online && playerTypes[game.currentPlayer] !== 'human';
+}
+
+function isLocalHumanTurn() {
+    // Online, each browser only controls its own color
+    if (online) return online.player === game.currentPlayer;
+    return !isComputerTurn();
+}
+
+function requestMove(index) {
+    // Online, the server validates the move and sends it back to both players
+    if (online) {
+        online.client.sendMove(index);
+        return;
+    }
+    
+    if (usesCenterCubeButton() && index === CENTER_INDEX) {
+        onCenterCubeClick();
+    } else {
+        claimCell(index);
+    }
+}
+
+function scheduleComputerMove() {
+    clearTimeout(computerMoveTimer);
+    computerMoveTimer = null;
+    
+    // Never move during the center-cube fade or a twist - their callbacks schedule again when done
+    if (isGameOver(game) || !isComputerTurn() || isFadingOut || isTwisting) return;
+    
+    computerMoveTimer = setTimeout(playComputerMove, COMPUTER_MOVE_DELAY);
+}
+
+function playComputerMove() {
+    computerMoveTimer = null;
+    if (isGameOver(game) || !isComputerTurn() || isFadingOut || isTwisting || previewPly !== null) return;
+    
+    // Play through the same paths as a click or twist button
+    requestTurn(chooseMove(game, playerTypes[game.currentPlayer]));
+}
+
+function endGame(winner, winningLines = []) {
+    console.log('endGame called - Winner:', winner, 'Lines:', winningLines);
+    const round = roundNumber;
+    
+    // Record the result in the series - a loaded game wasn't played in this series
+    if (!replayingRecord) {
+        if (winner === 0) {
+            series.draws++;
+        } else {
+            series.wins[winner]++;
+        }
+        recordTournamentResult(winner);
+    }
+    updateSeriesScore();
+    updateHistoryControls();
+    updateUI(); // Final line count
+    saveProgress();
+    
+    const winMessage = document.getElementById('win-message');
+    console.log('Win message element found:', !!winMessage);
+    
+    announce(describeResult(winner, winningLines));
+    
+    winMessage.textContent = getWinMessageText(winner);
+    if (winner === 0) {
+        winMessage.style.color = '#000000';
+        // No flashing for draws
+    } else {
+        winMessage.style.color = colorToCss(getPlayerColor(winner));
+        
+        // Start flashing animations for the deciding lines
+        if (winningLines.length > 0) {
+            startWinningFlash(winningLines, getPlayerColor(getLineOwner(winner)));
+        }
+    }
+    
+    setTimeout(() => {
+        if (round === roundNumber) winMessage.classList.add('show');
+    }, 500);
+}
+
+function getWinMessageText(winner) {
+    if (game.timedOut) return `TIME - ${getPlayerName(winner).toUpperCase()} WINS`;
+    
+    // Scoring games show the final line count
+    const scoreText = game.scores ? ` ${game.scores[1]} - ${game.scores[2]}` : '';
+    if (winner === 0) return `DRAW${scoreText}`;
+    return `${getPlayerName(winner).toUpperCase()} WINS${scoreText || '!'}`;
+}
+
+function getLineOwner(winner) {
+    // In misère the deciding lines belong to the loser
+    return game.goal === 'misere' ? otherPlayer(winner) : winner;
+}
+
+function describeResult(winner, winningLines) {
+    const describeLines = lines => lines.map(line => line.map(describeCell).join(', ')).join(' and ');
+    
+    if (game.timedOut) {
+        return `${getPlayerName(game.timedOut)} ran out of time - ${getPlayerName(winner)} wins.`;
+    }
+    if (game.goal === 'score') {
+        if (winner === 0) return `The game is a draw with ${game.scores[1]} lines each.`;
+        return `${getPlayerName(winner)} wins with ${game.scores[winner]} lines to ${game.scores[otherPlayer(winner)]}.`;
+    }
+    if (winner === 0) return 'The game is a draw.';
+    if (game.goal === 'misere' && winningLines.length > 0) {
+        return `${getPlayerName(winner)} wins - ${getPlayerName(otherPlayer(winner))} completed ${describeLines(winningLines)}.`;
+    }
+    return `${getPlayerName(winner)} wins${winningLines.length > 0 ? ` with ${describeLines(winningLines)}` : ''}!`;
+}
+
+function setupMatchControls() {
+    const policySelect = document.getElementById('rematch-policy');
+    policySelect.value = series.policy;
+    policySelect.addEventListener('change', () => {
+        series.policy = policySelect.value;
+        saveSettings();
+    });
+    
+    document.getElementById('new-game-button').addEventListener('click', () => {
+        // Online, both players restart together once both have asked
+        if (online) {
+            online.client.requestRematch();
+            setOnlineStatus(`${getOnlineRoleText()} - NEW GAME ASKED FOR`);
+        } else {
+            startNewGame();
+        }
+    });
+    updateSeriesScore();
+    setupRuleControls();
+    setupClockControls();
+    setupTournamentControls();
+}
+
+function setupRuleControls() {
+    const goalSelect = document.getElementById('rule-goal');
+    const noCenterInput = document.getElementById('rule-no-center-input');
+    
+    // New rules need a fresh game
+    const onRulesChanged = () => {
+        ruleOptions = { goal: goalSelect.value, noCenterOpening: noCenterInput.checked };
+        saveSettings();
+        startNewGame();
+    };
+    goalSelect.addEventListener('change', onRulesChanged);
+    noCenterInput.addEventListener('change', onRulesChanged);
+    
+    // Only boards with a single middle cell have a center to forbid
+    document.getElementById('rule-no-center').hidden = getCenterCell(game) === null;
+    updateRuleControls();
+}
+
+function updateRuleControls() {
+    document.getElementById('rule-goal').value = ruleOptions.goal;
+    document.getElementById('rule-no-center-input').checked = ruleOptions.noCenterOpening;
+}
+
+function adoptRules(rules) {
+    // Loaded and online games bring their own rules
+    ruleOptions = { goal: rules.goal || 'line', noCenterOpening: Boolean(rules.noCenterOpening) };
+    updateRuleControls();
+}
+
+function getNextStarter() {
+    // Only a finished game has a loser; an abandoned one keeps the same starter
+    if (series.policy === 'loser') {
+        if (game.winner === 1 || game.winner === 2) return otherPlayer(game.winner);
+        return game.winner === 0 ? otherPlayer(series.starter) : series.starter;
+    }
+    if (series.policy === 'alternate') {
+        return otherPlayer(series.starter);
+    }
+    return 1;
+}
+
+function startNewGame(firstPlayer = getNextStarter()) {
+    roundNumber++;
+    clearTimeout(computerMoveTimer);
+    computerMoveTimer = null;
+    isFadingOut = false;
+    finishTwistAnimation();
+    closeReplay();
+    
+    // Tournament games always start with seat 1 - the pairing's seats swap instead
+    pickTournamentGame();
+    if (tournamentGame) firstPlayer = 1;
+    
+    series.starter = firstPlayer;
+    game = createGame({ ...boardOptions, ...ruleOptions, firstPlayer: series.starter });
+    moveHistory = [game];
+    historyIndex = 0;
+    previewPly = null;
+    resetClocks();
+    if (tournament) applyProfiles(); // The seats' names change with the pairing
+    
+    // Reset every sticker back to white
+    paintBoard(game.board);
+    
+    // Stop the winning flash and clear the glow
+    cancelTween('win-flash');
+    flashState.stickers = [];
+    flashState.hasCenterCube = false;
+    
+    hideBackgroundGlow();
+    
+    const winMessage = document.getElementById('win-message');
+    winMessage.classList.remove('show');
+    winMessage.textContent = '';
+    
+    resetCenterCubeButtons();
+    updateUI();
+    updateCenterCubeButtons();
+    updateHistoryControls();
+    updateBoardGrid();
+    saveProgress();
+    announce(tournamentGame ? `New game - ${describeTournamentGame()}.` : 'New game.');
+    announceTurn();
+    scheduleComputerMove();
+}
+
+function hideBackgroundGlow() {
+    const backgroundGlow = document.getElementById('background-glow');
+    backgroundGlow.style.display = 'none';
+    backgroundGlow.style.background = '';
+    backgroundGlow.style.opacity = '';
+}
+
+function resetCenterCubeButtons() {
+    if (!usesCenterCubeButton()) return;
+    
+    // Undo fadeOutCenterCubes - show the containers and make the wireframes opaque again
+    document.getElementById('center-cube-container-1').style.display = '';
+    document.getElementById('center-cube-container-2').style.display = '';
+    
+    Object.values(centerCubes).forEach(cube => {
+        cube.group.children.forEach(child => {
+            if (child !== cube.inner && child.material) {
+                child.material.opacity = 1;
+                child.material.needsUpdate = true;
+            }
+        });
+    });
+}
+
+function getPlayerColor(player) {
+    return profiles[player].color;
+}
+
+function paintBoard(board) {
+    // Color every cell's stickers from a board array
+    board.forEach((owner, index) => {
+        paintCell(index, owner);
+    });
+}
+
+function getCellStickers(index) {
+    // A cube cell shows on all six stickers of its cube, a facelet cell on one sticker
+    if (!usesFacelets()) return cubePieces[index].userData.stickers;
+    
+    const { cubeIndex, faceIndex } = faceletToSticker(index, game.size);
+    return [cubePieces[cubeIndex].userData.stickers[faceIndex]];
+}
+
+function paintCell(index, owner) {
+    // Owner's color plus their mark, or plain white for a free cell
+    const color = owner === 0 ? COLORS.WHITE : getPlayerColor(owner);
+    const map = owner === 0 ? null : getMarkTexture(profiles[owner].mark);
+    
+    getCellStickers(index).forEach(sticker => {
+        sticker.material.color.setHex(color);
+        if (sticker.material.map !== map) {
+            sticker.material.map = map;
+            sticker.material.needsUpdate = true;
+        }
+    });
+}
+
+const markTextures = {};
+
+function getMarkTexture(mark) {
+    if (mark === 'none') return null;
+    
+    // White texture with a dark symbol - the sticker color tints the white part
+    if (!markTextures[mark]) {
+        const canvas = document.createElement('canvas');
+        canvas.width = 128;
+        canvas.height = 128;
+        const context = canvas.getContext('2d');
+        context.fillStyle = '#FFFFFF';
+        context.fillRect(0, 0, 128, 128);
+        context.strokeStyle = 'rgba(0, 0, 0, 0.6)';
+        context.lineWidth = 14;
+        context.lineCap = 'round';
+        context.lineJoin = 'round';
+        
+        context.beginPath();
+        if (mark === 'x') {
+            context.moveTo(34, 34);
+            context.lineTo(94, 94);
+            context.moveTo(94, 34);
+            context.lineTo(34, 94);
+        } else if (mark === 'o') {
+            context.arc(64, 64, 32, 0, Math.PI * 2);
+        } else if (mark === 'triangle') {
+            context.moveTo(64, 28);
+            context.lineTo(100, 94);
+            context.lineTo(28, 94);
+            context.closePath();
+        } else if (mark === 'square') {
+            context.rect(34, 34, 60, 60);
+        }
+        context.stroke();
+        
+        markTextures[mark] = new THREE.CanvasTexture(canvas);
+        markTextures[mark].colorSpace = THREE.SRGBColorSpace;
+    }
+    return markTextures[mark];
+}
+
+function syncCenterCubeView(board) {
+    if (!usesCenterCubeButton()) return;
+    
+    // Show the center-cube buttons while the center is free, the glow once it is taken
+    if (board[CENTER_INDEX] === 0) {
+        hideBackgroundGlow();
+        resetCenterCubeButtons();
+    } else {
+        document.getElementById('center-cube-container-1').style.display = 'none';
+        document.getElementById('center-cube-container-2').style.display = 'none';
+        createCenterAura(getPlayerColor(board[CENTER_INDEX]));
+    }
+}
+
+function recordHistory() {
+    // A new move drops any undone moves that could have been redone
+    moveHistory = moveHistory.slice(0, historyIndex + 1);
+    moveHistory.push(game);
+    historyIndex = moveHistory.length - 1;
+    passClockTurn();
+    updateHistoryControls();
+    updateBoardGrid();
+    saveProgress();
+}
+
+function setupHistoryControls() {
+    document.getElementById('undo-button').addEventListener('click', undoMove);
+    document.getElementById('redo-button').addEventListener('click', redoMove);
+    
+    const timeline = document.getElementById('timeline');
+    timeline.addEventListener('input', () => previewHistory(parseInt(timeline.value, 10)));
+    document.getElementById('timeline-confirm').addEventListener('click', () => {
+        if (previewPly !== null) goToPly(previewPly);
+    });
+    document.getElementById('timeline-cancel').addEventListener('click', () => previewHistory(historyIndex));
+    
+    window.addEventListener('keydown', event => {
+        // Same focus rules as the board keys - text fields keep their own undo
+        const target = event.target;
+        if (target !== document.body && target !== renderer.domElement) return;
+        if (!(event.ctrlKey || event.metaKey) || event.altKey) return;
+        
+        const key = event.key.toLowerCase();
+        if (key === 'z' && !event.shiftKey) {
+            event.preventDefault();
+            undoMove();
+        } else if (key === 'y' || (key === 'z' && event.shiftKey)) {
+            event.preventDefault();
+            redoMove();
+        }
+    });
+    
+    updateHistoryControls();
+}
+
+function canEditHistory() {
+    // A finished game can only be reviewed, and the center-cube fade or a twist must finish first.
+    // Online games can't be taken back since the server owns the move list
+    return !online && !isGameOver(game) && !isFadingOut && !isTwisting;
+}
+
+function isHumanToMove(state) {
+    return playerTypes[state.currentPlayer] === 'human';
+}
+
+function undoMove() {
+    if (!canEditHistory() || historyIndex === 0) return;
+    
+    // Against the computer, step back to the last position where a human was to move
+    let ply = historyIndex - 1;
+    while (ply > 0 && !isHumanToMove(moveHistory[ply])) {
+        ply--;
+    }
+    goToPly(ply);
+}
+
+function redoMove() {
+    if (!canEditHistory() || historyIndex >= moveHistory.length - 1) return;
+    
+    let ply = historyIndex + 1;
+    while (ply < moveHistory.length - 1 && !isHumanToMove(moveHistory[ply])) {
+        ply++;
+    }
+    goToPly(ply);
+}
+
+function goToPly(ply) {
+    if (!canEditHistory()) {
+        previewHistory(historyIndex);
+        return;
+    }
+    
+    clearTimeout(computerMoveTimer);
+    computerMoveTimer = null;
+    
+    historyIndex = ply;
+    game = moveHistory[ply];
+    previewPly = null;
+    passClockTurn(); // The side to move starts a fresh turn
+    
+    paintBoard(game.board);
+    syncCenterCubeView(game.board);
+    updateUI();
+    updateCenterCubeButtons();
+    updateHistoryControls();
+    updateBoardGrid();
+    saveProgress();
+    announce(`Back to move ${ply}.`);
+    announceTurn();
+    scheduleComputerMove();
+}
+
+function previewHistory(ply) {
+    // Show an earlier position without touching the live game
+    if (ply === historyIndex) {
+        previewPly = null;
+        paintBoard(game.board);
+        syncCenterCubeView(game.board);
+    } else {
+        clearTimeout(computerMoveTimer);
+        computerMoveTimer = null;
+        previewPly = ply;
+        paintBoard(moveHistory[ply].board);
+        syncCenterCubeView(moveHistory[ply].board);
+    }
+    
+    updateHistoryControls();
+    if (previewPly === null) scheduleComputerMove();
+}
+
+function updateHistoryControls() {
+    const shownPly = previewPly !== null ? previewPly : historyIndex;
+    const editable = canEditHistory();
+    
+    document.getElementById('undo-button').disabled = !editable || previewPly !== null || historyIndex === 0;
+    document.getElementById('redo-button').disabled = !editable || previewPly !== null || historyIndex >= moveHistory.length - 1;
+    
+    const timeline = document.getElementById('timeline');
+    timeline.max = moveHistory.length - 1;
+    timeline.value = shownPly;
+    timeline.disabled = isFadingOut || isTwisting || moveHistory.length < 2;
+    
+    document.getElementById('timeline-label').textContent = `MOVE ${shownPly} / ${moveHistory.length - 1}`;
+    document.getElementById('timeline-actions').hidden = previewPly === null;
+    document.getElementById('timeline-confirm').hidden = !editable;
+    updateTwistControls();
+    updateAssist();
+    updateViewControls();
+    updateSliceView();
+    document.getElementById('replay-button').disabled = !isGameOver(game) || replay !== null;
+}
+
+function setupOnlineControls() {
+    const roomInput = document.getElementById('online-room');
+    
+    document.getElementById('online-create').addEventListener('click', () => {
+        goOnline(client => client.createRoom({ ...boardOptions, ...ruleOptions }));
+    });
+    document.getElementById('online-join').addEventListener('click', () => {
+        const code = roomInput.value.trim().toUpperCase();
+        if (!code) {
+            setOnlineStatus('ENTER A ROOM CODE');
+            return;
+        }
+        goOnline(client => client.joinRoom(code));
+    });
+    document.getElementById('online-leave').addEventListener('click', () => leaveOnline('LEFT ROOM'));
+}
+
+function goOnline(firstRequest) {
+    if (online) online.client.close();
+    
+    let client;
+    try {
+        client = connectOnline(getServerUrl(), {
+            onMessage: handleOnlineMessage,
+            onClose: () => leaveOnline('DISCONNECTED')
+        });
+    } catch (error) {
+        setOnlineStatus(`CAN'T CONNECT: ${error.message}`);
+        return;
+    }
+    
+    online = { client: client, room: null, player: 0 };
+    setOnlineStatus('CONNECTING...');
+    updateOnlineControls();
+    firstRequest(client);
+}
+
+function leaveOnline(status) {
+    if (!online) return;
+    
+    online.client.close();
+    online = null;
+    setOnlineStatus(status);
+    updateOnlineControls();
+    updateHistoryControls();
+    scheduleComputerMove();
+}
+
+function handleOnlineMessage(message) {
+    if (!online) return;
+    
+    switch (message.type) {
+        case 'joined':
+            // The board is built at load time, so both browsers need the same board
+            if (!isSameBoard(message.options)) {
+                leaveOnline(`ROOM USES A ${describeBoard(message.options).toUpperCase()}`);
+                return;
+            }
+            online.room = message.room;
+            online.player = message.player;
+            adoptRules(message.options);
+            
+            // Rebuild the room's game through the normal claim path
+            startNewGame(message.firstPlayer);
+            message.moves.forEach(move => {
+                if (typeof move === 'string') {
+                    applyOnlineTwist(move);
+                } else {
+                    applyOnlineMove(move);
+                }
+            });
+            setOnlineStatus(message.opponentConnected ? getOnlineRoleText() : `${getOnlineRoleText()} - WAITING FOR OPPONENT`);
+            updateOnlineControls();
+            break;
+        case 'opponentJoined':
+            setOnlineStatus(`${getOnlineRoleText()} - OPPONENT JOINED`);
+            break;
+        case 'opponentLeft':
+            setOnlineStatus(`${getOnlineRoleText()} - OPPONENT LEFT`);
+            break;
+        case 'move':
+            applyOnlineMove(message.index);
+            break;
+        case 'twist':
+            applyOnlineTwist(message.twist);
+            break;
+        case 'rematchRequested':
+            setOnlineStatus(`${getOnlineRoleText()} - OPPONENT WANTS A NEW GAME, PRESS NEW GAME TO AGREE`);
+            break;
+        case 'newGame':
+            setOnlineStatus(getOnlineRoleText());
+            startNewGame(message.firstPlayer);
+            break;
+        case 'error':
+            setOnlineStatus(message.message.toUpperCase());
+            break;
+    }
+}
+
+function applyOnlineMove(index) {
+    // Remote and echoed local moves both land here and use the same paths as a local click
+    if (previewPly !== null) {
+        previewHistory(historyIndex);
+    }
+    
+    if (usesCenterCubeButton() && index === CENTER_INDEX) {
+        onCenterCubeClick();
+    } else {
+        claimCell(index);
+    }
+}
+
+function applyOnlineTwist(name) {
+    if (previewPly !== null) {
+        previewHistory(historyIndex);
+    }
+    
+    twistLayer(name);
+}
+
+function getOnlineRoleText() {
+    return `ROOM ${online.room} - YOU ARE PLAYER ${online.player}`;
+}
+
+function setOnlineStatus(text) {
+    document.getElementById('online-status').textContent = text;
+}
+
+function updateOnlineControls() {
+    document.getElementById('online-leave').hidden = !online;
+    document.getElementById('rematch-policy').disabled = Boolean(online) || tournament !== null;
+    document.getElementById('rule-goal').disabled = Boolean(online);
+    document.getElementById('rule-no-center-input').disabled = Boolean(online);
+    document.getElementById('clock-preset').disabled = Boolean(online);
+    document.getElementById('tournament-button').disabled = Boolean(online);
+    [1, 2].forEach(player => {
+        document.getElementById(`player${player}-type`).disabled = Boolean(online);
+    });
+}
+
+// Game records - export, import and URL hash, see notation.js
+
+function setupRecordControls() {
+    const fileInput = document.getElementById('record-file');
+    
+    document.getElementById('record-copy').addEventListener('click', copyGameLink);
+    document.getElementById('record-save').addEventListener('click', saveGameFile);
+    document.getElementById('record-load').addEventListener('click', () => fileInput.click());
+    
+    fileInput.addEventListener('change', () => {
+        const file = fileInput.files[0];
+        fileInput.value = '';
+        if (!file) return;
+        
+        file.text().then(text => {
+            // Saved files carry a "Record:" line, anything else is read as a bare record
+            const recordLine = text.split(/\r?\n/).find(line => line.startsWith('Record:'));
+            loadGameRecord(recordLine ? recordLine.slice('Record:'.length) : text);
+        });
+    });
+    
+    window.addEventListener('hashchange', loadGameFromHash);
+}
+
+function getGameLink() {
+    const { origin, pathname, search } = window.location;
+    return `${origin}${pathname}${search}#game=${formatGameRecord(game)}`;
+}
+
+function copyGameLink() {
+    const link = getGameLink();
+    
+    if (!navigator.clipboard) {
+        setRecordStatus(formatGameRecord(game));
+        return;
+    }
+    navigator.clipboard.writeText(link).then(
+        () => setRecordStatus('LINK COPIED'),
+        () => setRecordStatus(formatGameRecord(game)) // Show the record so it can be copied by hand
+    );
+}
+
+function describeGameResult() {
+    if (!isGameOver(game)) return 'In progress';
+    
+    if (game.timedOut) return `${getPlayerName(game.winner)} wins on time`;
+    
+    const result = game.winner === 0 ? 'Draw' : `${getPlayerName(game.winner)} wins`;
+    return game.scores ? `${result} ${game.scores[1]} - ${game.scores[2]}` : result;
+}
+
+function saveGameFile() {
+    const text = [
+        'Tic Tac Toe 3D',
+        `Record: ${formatGameRecord(game)}`,
+        `Position: ${formatPosition(game.board, game.size, game.variant)}`,
+        `Result: ${describeGameResult()}`,
+        `Link: ${getGameLink()}`,
+        ''
+    ].join('\n');
+    
+    downloadText(text, 'tictactoe3d-game.txt');
+    setRecordStatus('GAME SAVED');
+}
+
+function downloadText(text, filename) {
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(new Blob([text], { type: 'text/plain' }));
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(link.href);
+}
+
+function loadGameFromHash() {
+    const text = getHashRecordText();
+    if (text && loadGameRecord(text)) clearHashRecord();
+}
+
+function clearHashRecord() {
+    // The loaded game carries on in the autosave, so a refresh must not bring the shared
+    // position back. The board moves into the query to rebuild the same scene on reload
+    const params = new URLSearchParams(window.location.search);
+    params.set('size', game.size);
+    params.set('win', game.winLength);
+    params.set('variant', game.variant);
+    history.replaceState(null, '', `${window.location.pathname}?${params}`);
+}
+
+// Returns whether the record was loaded
+function loadGameRecord(text) {
+    if (online) {
+        setRecordStatus('LEAVE THE ONLINE ROOM TO LOAD A GAME');
+        return false;
+    }
+    
+    // Check the whole record before touching the scene
+    let record;
+    try {
+        record = parseGameRecord(text);
+        if (!isSameBoard(record)) {
+            throw new NotationError(`This game needs a ${describeBoard(record)} - open it as a link`);
+        }
+        replayGameRecord(record);
+    } catch (error) {
+        if (!(error instanceof NotationError)) throw error;
+        setRecordStatus(`CAN'T LOAD GAME: ${error.message}`);
+        announce(`Can't load game: ${error.message}`);
+        return false;
+    }
+    
+    // Replay through the normal claim path
+    adoptRules(record);
+    replayingRecord = true;
+    try {
+        startNewGame(record.firstPlayer);
+        record.moves.forEach(move => requestTurn(move));
+    } finally {
+        replayingRecord = false;
+    }
+    saveProgress();
+    
+    setRecordStatus(`LOADED ${record.moves.length} MOVES`);
+    announce(`Loaded a game of ${record.moves.length} moves.`);
+    if (isGameOver(game)) {
+        announce(game.winner === 0 ? 'The game was a draw.' : `${getPlayerName(game.winner)} won.`);
+    } else {
+        announceTurn();
+    }
+    return true;
+}
+
+function setRecordStatus(text) {
+    document.getElementById('record-status').textContent = text;
+}
+
+// Replay viewer - steps through a finished game with the camera following each move, see analysis.js
+
+function setupReplayControls() {
+    document.getElementById('replay-button').addEventListener('click', openReplay);
+    document.getElementById('replay-prev').addEventListener('click', () => stepReplay(-1));
+    document.getElementById('replay-next').addEventListener('click', () => stepReplay(1));
+    document.getElementById('replay-play').addEventListener('click', toggleReplayPlayback);
+    document.getElementById('replay-export').addEventListener('click', exportReplay);
+    document.getElementById('replay-close').addEventListener('click', closeReplay);
+}
+
+function openReplay() {
+    if (!isGameOver(game) || replay) return;
+    
+    replay = { analysis: null, ply: moveHistory.length - 1, worker: null, outline: null };
+    document.getElementById('replay-panel').hidden = false;
+    document.getElementById('replay-summary').textContent = 'ANALYSING...';
+    document.getElementById('replay-moves').replaceChildren();
+    setReplayButtonsDisabled(true);
+    updateHistoryControls();
+    
+    const round = roundNumber;
+    replay.worker = startAnalysis(game, analysis => {
+        if (!replay || round !== roundNumber) return;
+        
+        replay.worker = null;
+        replay.analysis = analysis;
+        document.getElementById('replay-summary').textContent = describeAnalysis(replay.analysis).join(' ');
+        createReplayList();
+        setReplayButtonsDisabled(false);
+        showReplayPly(0);
+    });
+}
+
+function startAnalysis(state, done) {
+    // The solver can think for seconds, so it runs in a worker while the scene keeps moving.
+    // Without one it runs here, a frame after the panel shows
+    const runHere = () => setTimeout(() => done(analyzeGame(state)), 50);
+    if (typeof Worker === 'undefined') {
+        runHere();
+        return null;
+    }
+    
+    const worker = new Worker(new URL('./analysis-worker.js', import.meta.url), { type: 'module' });
+    worker.onmessage = event => {
+        worker.terminate();
+        done(event.data);
+    };
+    worker.onerror = () => {
+        worker.terminate();
+        runHere();
+    };
+    worker.postMessage(state);
+    return worker;
+}
+
+function closeReplay() {
+    if (!replay) return;
+    
+    if (replay.worker) replay.worker.terminate();
+    cancelTween('replay-step');
+    removeReplayOutline();
+    replay = null;
+    cancelTween('camera');
+    document.getElementById('replay-panel').hidden = true;
+    if (previewPly !== null) {
+        previewHistory(historyIndex);
+    } else {
+        updateHistoryControls();
+    }
+}
+
+function setReplayButtonsDisabled(disabled) {
+    ['replay-prev', 'replay-play', 'replay-next', 'replay-export'].forEach(id => {
+        document.getElementById(id).disabled = disabled;
+    });
+}
+
+function describeAnalysis(analysis) {
+    if (!analysis.supported) {
+        return ['Moves are only marked in line and misère games without twists.'];
+    }
+    
+    const lines = [1, 2].map(player => {
+        const ply = analysis.firstForcedWin[player];
+        if (ply === null) return `${getPlayerName(player)}: no forced win found.`;
+        return `${getPlayerName(player)}: forced win from ${ply === 0 ? 'the start' : `move ${ply}`}.`;
+    });
+    if (analysis.solvedFrom > 0) {
+        lines.push(`Positions before move ${analysis.solvedFrom} weren't searched.`);
+    }
+    return lines;
+}
+
+function describeReplayMove(move) {
+    return `${move.ply}. ${getPlayerName(move.player)} ${move.twist ? move.twist : describeCell(move.index)}`;
+}
+
+function createReplayList() {
+    const list = document.getElementById('replay-moves');
+    replay.analysis.moves.forEach(move => {
+        const button = document.createElement('button');
+        button.textContent = `${describeReplayMove(move)} `;
+        
+        const label = document.createElement('span');
+        label.textContent = move.label.toUpperCase();
+        label.style.color = colorToCss(MOVE_LABEL_COLORS[move.label]);
+        button.appendChild(label);
+        
+        button.addEventListener('click', () => {
+            stopReplayPlayback();
+            showReplayPly(move.ply);
+        });
+        list.appendChild(document.createElement('li')).appendChild(button);
+    });
+}
+
+function showReplayPly(ply) {
+    replay.ply = ply;
+    previewHistory(ply);
+    removeReplayOutline();
+    
+    document.querySelectorAll('#replay-moves button').forEach((button, i) => {
+        if (i + 1 === ply) {
+            button.setAttribute('aria-current', 'step');
+            button.scrollIntoView({ block: 'nearest' });
+        } else {
+            button.removeAttribute('aria-current');
+        }
+    });
+    
+    if (ply === 0) {
+        announce('Start of the game.');
+        return;
+    }
+    
+    // Outline the move's cell in its label color and swing the camera round to it
+    const move = replay.analysis.moves[ply - 1];
+    if (move.index !== null) {
+        replay.outline = createCellOutline(MOVE_LABEL_COLORS[move.label], 1.2);
+        replay.outline.userData.cell = move.index;
+        placeCellOutline(replay.outline, move.index);
+        cubeGroup.add(replay.outline);
+        moveCameraToCell(move.index);
+    }
+    announce(`${describeReplayMove(move)}, ${move.label}.`);
+}
+
+function removeReplayOutline() {
+    if (!replay || !replay.outline) return;
+    
+    cubeGroup.remove(replay.outline);
+    replay.outline.geometry.dispose();
+    replay.outline.material.dispose();
+    replay.outline = null;
+}
+
+function stepReplay(delta) {
+    if (!replay || !replay.analysis) return;
+    
+    stopReplayPlayback();
+    const ply = Math.min(Math.max(replay.ply + delta, 0), replay.analysis.moves.length);
+    showReplayPly(ply);
+}
+
+function toggleReplayPlayback() {
+    if (isTweening('replay-step')) {
+        stopReplayPlayback();
+        return;
+    }
+    
+    // Playing from the last move starts over
+    if (replay.ply >= replay.analysis.moves.length) showReplayPly(0);
+    document.getElementById('replay-play').textContent = 'Pause';
+    
+    // One step per move - the tween only times the wait
+    const wait = () => startTween('replay-step', { duration: REPLAY_STEP, ease: linear, update: () => {}, complete: advance });
+    const advance = () => {
+        showReplayPly(replay.ply + 1);
+        if (replay.ply >= replay.analysis.moves.length) {
+            stopReplayPlayback();
+        } else {
+            wait();
+        }
+    };
+    wait();
+}
+
+function stopReplayPlayback() {
+    cancelTween('replay-step');
+    document.getElementById('replay-play').textContent = 'Play';
+}
+
+function exportReplay() {
+    const { analysis } = replay;
+    const counts = [1, 2].map(player => {
+        const labels = analysis.moves.filter(move => move.player === player).map(move => move.label);
+        const count = label => labels.filter(candidate => candidate === label).length;
+        return `${getPlayerName(player)}: ${count('winning')} winning, ${count('forced')} forced, ${count('blunder')} blunders, ${count('neutral')} neutral`;
+    });
+    
+    const text = [
+        'Tic Tac Toe 3D - game review',
+        `Record: ${formatGameRecord(game)}`,
+        `Result: ${describeGameResult()}`,
+        ...describeAnalysis(analysis),
+        ...(analysis.supported ? counts : []),
+        '',
+        ...analysis.moves.map(move => `${describeReplayMove(move)} - ${move.label}`),
+        ''
+    ].join('\n');
+    
+    downloadText(text, 'tictactoe3d-review.txt');
+    announce('Review saved.');
+}
+
+// Sound effects - see audio.js
+
+function setupSoundControls() {
+    const button = document.getElementById('sound-button');
+    const volumeInput = document.getElementById('sound-volume');
+    
+    button.addEventListener('click', () => {
+        setSoundSettings({ ...getSoundSettings(), muted: !getSoundSettings().muted });
+        saveSettings();
+        updateSoundControls();
+    });
+    volumeInput.addEventListener('input', () => {
+        setSoundSettings({ ...getSoundSettings(), volume: parseInt(volumeInput.value, 10) / 100 });
+        saveSettings();
+    });
+    updateSoundControls();
+}
+
+function updateSoundControls() {
+    const { muted, volume } = getSoundSettings();
+    const button = document.getElementById('sound-button');
+    button.textContent = muted ? 'Sound Off' : 'Sound On';
+    button.setAttribute('aria-pressed', String(!muted));
+    document.getElementById('sound-volume').value = Math.round(volume * 100);
+}
+
+function playMoveSounds(previous, playerWhoMoved) {
+    // Loaded games replay silently
+    if (replayingRecord) return;
+    
+    playClaim(playerWhoMoved);
+    
+    // A new cell that would complete a line - twists can make them for either player
+    const newThreat = [1, 2].some(player => {
+        const before = findThreatCells(previous, player);
+        return findThreatCells(game, player).some(cell => !before.includes(cell));
+    });
+    if (newThreat && !isGameOver(game)) playThreat();
+}
+
+// Tournaments - results come from endGame, the standings and bracket live in the dialog
+
+function setupTournamentControls() {
+    const dialog = document.getElementById('tournament-dialog');
+    const formatSelect = document.getElementById('tournament-format');
+    TOURNAMENT_FORMATS.forEach(format => formatSelect.add(new Option(format.label, format.id)));
+    
+    document.getElementById('tournament-button').addEventListener('click', () => {
+        if (!tournament) {
+            document.getElementById('tournament-roster').value = `${profiles[1].name}\n${profiles[2].name}`;
+            document.getElementById('tournament-error').textContent = '';
+        }
+        updateTournamentView();
+        dialog.showModal();
+    });
+    document.getElementById('tournament-start').addEventListener('click', startTournament);
+    document.getElementById('tournament-export').addEventListener('click', () => {
+        downloadText(formatTournament(tournament), 'tictactoe3d-tournament.txt');
+        announce('Tournament saved.');
+    });
+    document.getElementById('tournament-end').addEventListener('click', () => {
+        if (!isTournamentOver(tournament) && !window.confirm('End the tournament? Its results will be lost.')) return;
+        
+        tournament = null;
+        tournamentGame = null;
+        saveTournament();
+        applyProfiles();
+        updateTournamentView();
+        startNewGame();
+    });
+    
+    // Pick up a saved tournament where it left off
+    const saved = readSave();
+    tournament = restoreTournament(saved && saved.tournament);
+    pickTournamentGame();
+    applyProfiles();
+    updateTournamentView();
+}
+
+function startTournament() {
+    const names = document.getElementById('tournament-roster').value.split('\n');
+    const format = document.getElementById('tournament-format').value;
+    try {
+        tournament = createTournament(format, names);
+    } catch (error) {
+        if (!(error instanceof TournamentError)) throw error;
+        document.getElementById('tournament-error').textContent = error.message;
+        return;
+    }
+    
+    saveTournament();
+    updateTournamentView();
+    document.getElementById('tournament-dialog').close();
+    startNewGame();
+}
+
+function pickTournamentGame() {
+    // Loaded and online games are never tournament games
+    tournamentGame = tournament && !online && !replayingRecord ? getNextGame(tournament) : null;
+}
+
+function resumeTournamentGame(saved) {
+    // The saved game may be finished, with its result already in the standings
+    const match = tournament && saved && tournament.matches[saved.match];
+    const savedGame = match && match.games[saved.game];
+    if (!savedGame) return;
+    
+    tournamentGame = { match: saved.match, game: saved.game, seats: savedGame.seats };
+    applyProfiles();
+    updateTournamentView();
+}
+
+function recordTournamentResult(winner) {
+    if (!tournamentGame || tournament.matches[tournamentGame.match].games[tournamentGame.game].winner !== null) return;
+    
+    tournament = recordGameResult(tournament, tournamentGame.match, tournamentGame.game, winner);
+    saveTournament();
+    updateTournamentView();
+}
+
+function describeTournamentGame() {
+    const match = tournament.matches[tournamentGame.match];
+    return `${getRoundName(tournament, match.round)}, ${describeMatch(tournament, match)}, game ${tournamentGame.game + 1}`;
+}
+
+function updateTournamentView() {
+    document.getElementById('tournament-setup').hidden = tournament !== null;
+    document.getElementById('tournament-view').hidden = tournament === null;
+    document.getElementById('rematch-policy').disabled = Boolean(online) || tournament !== null;
+    
+    const status = document.getElementById('tournament-status');
+    status.hidden = tournament === null;
+    if (!tournament) return;
+    
+    const standings = getStandings(tournament);
+    const next = getNextGame(tournament);
+    const champion = isTournamentOver(tournament) ? tournament.players[standings[0].player] : null;
+    if (champion) {
+        status.textContent = `${champion.toUpperCase()} WINS THE TOURNAMENT`;
+    } else if (tournament.format === 'round-robin') {
+        status.textContent = `TOURNAMENT GAME ${tournament.results.length + 1} OF ${countGames(tournament)}`;
+    } else {
+        // Later rounds only get their games once the pairings are known
+        status.textContent = `TOURNAMENT ${getRoundName(tournament, tournament.matches[next.match].round).toUpperCase()}`;
+    }
+    
+    document.getElementById('tournament-tiebreak').textContent = tournament.format === 'round-robin' ? 'SB' : 'Round';
+    document.getElementById('tournament-standings').tBodies[0].replaceChildren(...standings.map(row => {
+        const tiebreak = tournament.format === 'round-robin' ? row.tiebreak : getReachedName(tournament, row);
+        const tr = document.createElement('tr');
+        [row.rank, row.name, row.wins, row.draws, row.losses, row.points, tiebreak].forEach(value => {
+            tr.appendChild(document.createElement('td')).textContent = value;
+        });
+        return tr;
+    }));
+    
+    const nextText = next ? `Next: ${tournament.players[next.seats[1]]} vs ${tournament.players[next.seats[2]]}` : `Winner: ${champion}`;
+    document.getElementById('tournament-next').textContent = nextText;
+    
+    // One entry per round with its matches
+    const rounds = [];
+    tournament.matches.forEach(match => {
+        if (!rounds[match.round]) rounds[match.round] = [];
+        rounds[match.round].push(describeMatch(tournament, match));
+    });
+    document.getElementById('tournament-rounds').replaceChildren(...rounds.map((matches, round) => {
+        const item = document.createElement('li');
+        item.textContent = `${getRoundName(tournament, round)}: ${matches.join(', ')}`;
+        return item;
+    }));
+}
+
+function saveTournament() {
+    updateSave({ tournament: tournament ? serializeTournament(tournament) : null });
+}
+
+// Game clocks - the side to move's clock runs from the first move on, see clock.js
+
+function setupClockControls() {
+    const select = document.getElementById('clock-preset');
+    CLOCK_PRESETS.forEach(preset => select.add(new Option(preset.label, preset.id)));
+    select.value = clockPreset;
+    
+    // A new time control needs a fresh game
+    select.addEventListener('change', () => {
+        clockPreset = select.value;
+        saveSettings();
+        startNewGame();
+    });
+    
+    // Nobody can think about a tab they can't see
+    document.addEventListener('visibilitychange', () => {
+        if (document.hidden) {
+            holdClocks('hidden');
+        } else {
+            releaseClocks('hidden');
+        }
+    });
+    updateClockDisplay();
+}
+
+function resetClocks() {
+    clocks = createClocks(clockPreset);
+    if (document.hidden) holdClocks('hidden');
+    updateClockDisplay();
+}
+
+function passClockTurn() {
+    // Loaded games are replayed without the clock - it starts again with the next move
+    if (replayingRecord) return;
+    
+    if (isGameOver(game) || game.moves.length === 0) {
+        clocks = endTurn(clocks, Date.now());
+    } else {
+        clocks = startTurn(clocks, game.currentPlayer, Date.now());
+    }
+    updateClockDisplay();
+}
+
+function holdClocks(reason) {
+    clocks = pauseClocks(clocks, reason, Date.now());
+}
+
+function releaseClocks(reason) {
+    clocks = resumeClocks(clocks, reason, Date.now());
+}
+
+function updateClocks() {
+    if (online || !isClockOn(clocks)) return;
+    
+    const now = Date.now();
+    const flagged = findFlagged(clocks, now);
+    if (flagged !== null && !isGameOver(game)) {
+        onTimeOut(flagged);
+    }
+    updateClockDisplay(now);
+}
+
+function updateClockDisplay(now = Date.now()) {
+    [1, 2].forEach(player => {
+        const display = document.getElementById(`player${player}-clock`);
+        display.hidden = online !== null || !isClockOn(clocks);
+        if (display.hidden) return;
+        
+        // Only touch the DOM when the shown time changes
+        const remaining = getRemaining(clocks, player, now);
+        const text = formatClock(remaining);
+        if (display.textContent !== text) display.textContent = text;
+        display.classList.toggle('clock-low', clocks.player === player && remaining < CLOCK_LOW_TIME);
+    });
+}
+
+function onTimeOut(player) {
+    clearTimeout(computerMoveTimer);
+    computerMoveTimer = null;
+    
+    // A loss on time replaces the live position rather than adding a move
+    clocks = endTurn(clocks, Date.now());
+    game = applyTimeout(game, player);
+    moveHistory[historyIndex] = game;
+    if (previewPly !== null) {
+        previewHistory(historyIndex);
+    }
+    endGame(game.winner, game.winningLines);
+}
+
+// Autosave - the game in progress and player settings survive a reload, see storage.js
+
+function applySavedSettings() {
+    const saved = readSave();
+    const settings = saved && saved.settings;
+    if (!settings) return;
+    
+    const validTypes = ['human', ...AI_LEVELS.map(level => level.id)];
+    [1, 2].forEach(player => {
+        const type = settings.playerTypes && settings.playerTypes[player];
+        if (validTypes.includes(type)) playerTypes[player] = type;
+    });
+    if (['player1', 'loser', 'alternate'].includes(settings.rematchPolicy)) {
+        series.policy = settings.rematchPolicy;
+    }
+    profiles = sanitizeProfiles(settings.profiles);
+    assistEnabled = settings.assist === true;
+    autoOrbit = Boolean(settings.camera && settings.camera.autoOrbit);
+    setSoundSettings(settings.sound);
+    if (CLOCK_PRESETS.some(preset => preset.id === settings.clock)) {
+        clockPreset = settings.clock;
+        clocks = createClocks(clockPreset);
+    }
+    
+    if (settings.rules && GOALS.includes(settings.rules.goal)) {
+        adoptRules(settings.rules);
+        // The empty game from load time picks up the saved rules too
+        game = createGame({ ...boardOptions, ...ruleOptions });
+        moveHistory = [game];
+    }
+}
+
+function saveSettings() {
+    updateSave({
+        settings: {
+            playerTypes: playerTypes,
+            rematchPolicy: series.policy,
+            profiles: profiles,
+            rules: ruleOptions,
+            assist: assistEnabled,
+            clock: clockPreset,
+            sound: getSoundSettings(),
+            camera: { autoOrbit: autoOrbit }
+        }
+    });
+}
+
+function saveProgress() {
+    // Online games live on the server, and a replay in progress isn't a real position yet
+    if (online || replayingRecord) return;
+    
+    const now = Date.now();
+    updateSave({
+        game: {
+            record: formatGameRecord(game),
+            timedOut: game.timedOut, // Records only hold moves
+            tournamentGame: tournamentGame ? { match: tournamentGame.match, game: tournamentGame.game } : null,
+            clock: isClockOn(clocks) ? { preset: clocks.preset, remaining: { 1: getRemaining(clocks, 1, now), 2: getRemaining(clocks, 2, now) } } : null,
+            instructionsHidden: firstMoveMade,
+            series: { starter: series.starter, wins: series.wins, draws: series.draws }
+        }
+    });
+}
+
+function restoreSavedGame() {
+    const saved = readSave();
+    // A game shared in the URL replaces the saved one
+    if (!saved || !saved.game || getHashRecordText()) return;
+    
+    const savedSeries = saved.game.series;
+    if (savedSeries && Number.isInteger(savedSeries.draws)) {
+        series.wins = { 1: savedSeries.wins[1] || 0, 2: savedSeries.wins[2] || 0 };
+        series.draws = savedSeries.draws;
+        updateSeriesScore();
+    }
+    
+    if (saved.game.instructionsHidden) {
+        firstMoveMade = true;
+        document.getElementById('instructions').style.display = 'none';
+    }
+    
+    let record;
+    try {
+        record = parseGameRecord(saved.game.record);
+        replayGameRecord(record);
+    } catch (error) {
+        if (!(error instanceof NotationError)) throw error;
+        updateSave({ game: null }); // Unreadable game - drop it, keep the settings
+        return;
+    }
+    // Saved on a different board - leave it for that board
+    if (!isSameBoard(record)) return;
+    
+    // Rebuild the history without animations, then show the final position
+    adoptRules(record);
+    replayingRecord = true;
+    try {
+        startNewGame(record.firstPlayer);
+        resumeTournamentGame(saved.game.tournamentGame);
+        record.moves.forEach(move => {
+            const previous = moveHistory[moveHistory.length - 1];
+            moveHistory.push(typeof move === 'string' ? applyTwist(previous, move) : applyMove(previous, move));
+        });
+        historyIndex = moveHistory.length - 1;
+        game = moveHistory[historyIndex];
+        if (saved.game.timedOut && !isGameOver(game)) {
+            game = applyTimeout(game, saved.game.timedOut);
+            moveHistory[historyIndex] = game;
+        }
+        
+        paintBoard(game.board);
+        syncCenterCubeView(game.board);
+        updateUI();
+        updateCenterCubeButtons();
+        updateHistoryControls();
+        updateBoardGrid();
+        if (isGameOver(game)) {
+            endGame(game.winner, game.winningLines);
+        }
+    } finally {
+        replayingRecord = false;
+    }
+    
+    // Clocks pick up where they were, for whoever is to move
+    const savedClock = saved.game.clock;
+    if (savedClock && savedClock.preset === clockPreset) {
+        clocks = createClocks(clockPreset, savedClock.remaining);
+        passClockTurn();
+    }
+    
+    saveProgress();
+    if (!isGameOver(game)) announceTurn();
+}
+
+function updateSeriesScore() {
+    document.getElementById('series-score-1').textContent = series.wins[1];
+    document.getElementById('series-score-2').textContent = series.wins[2];
+    
+    let drawsText = '';
+    if (series.draws > 0) {
+        drawsText = series.draws === 1 ? '1 DRAW' : `${series.draws} DRAWS`;
+    }
+    document.getElementById('series-draws').textContent = drawsText;
+}
+
+// Assist overlay - threats, open lines and hints for the live game
+
+function setupAssistControls() {
+    const assistInput = document.getElementById('assist-input');
+    assistInput.checked = assistEnabled;
+    assistInput.addEventListener('change', () => {
+        assistEnabled = assistInput.checked;
+        saveSettings();
+        updateAssist();
+    });
+    
+    document.getElementById('hint-button').addEventListener('click', requestHint);
+    updateAssist();
+}
+
+function canRequestHint() {
+    return !isGameOver(game) && isLocalHumanTurn() && previewPly === null && !isTwisting && !isFadingOut;
+}
+
+function requestHint() {
+    if (!canRequestHint()) return;
+    
+    // The strongest computer level does the thinking
+    const move = chooseMove(game, 'hard');
+    if (move === null) return;
+    hint = { state: game, move: move };
+    announce(typeof move === 'string' ? `Hint: turn ${describeTwist(move)}.` : `Hint: ${describeCell(move)}.`);
+    updateAssist();
+}
+
+function updateAssist() {
+    clearAssistOverlay();
+    document.getElementById('hint-button').disabled = !canRequestHint();
+    
+    // The overlay follows the live game - it waits out twists and timeline previews
+    const showing = previewPly === null && !isTwisting;
+    const counts = document.getElementById('assist-counts');
+    counts.hidden = !assistEnabled || !showing;
+    if (!counts.hidden) {
+        counts.textContent = `OPEN LINES ${countOpenLines(game, 1)} - ${countOpenLines(game, 2)}`;
+    }
+    if (!showing) return;
+    
+    if (hint && hint.state === game) {
+        // A twist hint outlines the whole layer to turn
+        const cells = typeof hint.move === 'string' ? getTwistCells(hint.move, game.size).map(([from]) => from) : [hint.move];
+        cells.forEach(index => addAssistCell(index, COLORS.HINT, 1.26));
+    }
+    if (assistEnabled && !isGameOver(game)) {
+        // The player to move first - a cell that completes lines for both pulses in their color
+        [game.currentPlayer, otherPlayer(game.currentPlayer)].forEach((player, i) => {
+            findThreatCells(game, player).forEach(index => {
+                addAssistCell(index, getPlayerColor(player), i === 0 ? 1.14 : 1.2);
+            });
+        });
+    }
+}
+
+function addAssistCell(index, color, outlineSize) {
+    const outline = createCellOutline(color, outlineSize);
+    outline.userData.cell = index;
+    placeCellOutline(outline, index);
+    cubeGroup.add(outline);
+    assistState.outlines.push(outline);
+    
+    if (!assistState.cells.has(index)) {
+        assistState.cells.set(index, color);
+    }
+}
+
+function clearAssistOverlay() {
+    assistState.outlines.forEach(outline => {
+        cubeGroup.remove(outline);
+        outline.geometry.dispose();
+        outline.material.dispose();
+    });
+    assistState.outlines = [];
+    
+    // Only unclaimed stickers are tinted - back to white unless a claim or preview has painted them since
+    assistState.tinted.forEach((tint, sticker) => {
+        if (sticker.material.color.equals(tint)) sticker.material.color.setHex(COLORS.WHITE);
+    });
+    assistState.tinted.clear();
+    assistState.cells.clear();
+}
+
+function updateAssistPulse() {
+    // Same eased back-and-forth as the winning flash, between a light and a strong tint
+    const phase = (getTweenTime() % ASSIST_PULSE_DURATION) / ASSIST_PULSE_DURATION;
+    const pulse = easeInOut(1 - Math.abs(1 - 2 * phase));
+    
+    assistState.outlines.forEach(outline => {
+        outline.material.opacity = 0.5 + 0.5 * pulse;
+    });
+    assistState.cells.forEach((color, index) => {
+        // Claimed and previewed cells keep their own colors
+        if (game.board[index] !== 0 || index === movePreviewCell) return;
+        
+        const tint = new THREE.Color(COLORS.WHITE).lerp(new THREE.Color(color), 0.15 + 0.3 * pulse);
+        getCellStickers(index).forEach(sticker => {
+            sticker.material.color.copy(tint);
+            assistState.tinted.set(sticker, tint);
+        });
+    });
+}
+
+// Keyboard play and screen reader support
+
+function getPlayerName(player) {
+    if (tournamentGame) return tournament.players[tournamentGame.seats[player]];
+    return profiles[player].name;
+}
+
+function describeCell(index) {
+    if (usesFacelets()) {
+        const { face, u, v } = indexToFacelet(index, game.size);
+        const [uAxis, vAxis] = ['x', 'y', 'z'].filter((axis, i) => i !== FACES[face].axis);
+        return `${FACES[face].name} face ${uAxis}${u + 1} ${vAxis}${v + 1}`;
+    }
+    
+    const { x, y, z } = indexToCoords(index, game.size);
+    return `x${x + 1} y${y + 1} z${z + 1}`;
+}
+
+let announcementParts = [];
+
+function announce(text) {
+    if (replayingRecord) return; // A loaded game is summed up once it has been replayed
+    
+    // Messages from the same event are read out together
+    if (announcementParts.length === 0) {
+        queueMicrotask(() => {
+            document.getElementById('announcer').textContent = announcementParts.join(' ');
+            announcementParts = [];
+        });
+    }
+    announcementParts.push(text);
+}
+
+function announceTurn() {
+    announce(`${getPlayerName(game.currentPlayer)} to move.`);
+}
+
+function setupKeyboardControls() {
+    renderer.domElement.tabIndex = 0;
+    renderer.domElement.setAttribute('aria-label', usesFacelets()
+        ? 'Game board. Arrow keys move the cursor across a face, Page Up and Page Down or Q and E to the next face, Enter claims. Number keys pick a camera view, L turns to the last move.'
+        : 'Game board. Arrow keys move the cursor in x and y, Page Up and Page Down or Q and E in z, Enter claims, C claims the center cube. Number keys pick a camera view, L turns to the last move.');
+    
+    // Orange outline around the cursor cell
+    cursorHighlight = createCellOutline(COLORS.CURSOR, 1.08);
+    cursorHighlight.visible = false;
+    cubeGroup.add(cursorHighlight);
+    
+    window.addEventListener('keydown', onBoardKeyDown);
+    // Pointer users don't need the cursor
+    renderer.domElement.addEventListener('pointerdown', () => {
+        cursorHighlight.visible = false;
+    });
+}
+
+function onBoardKeyDown(event) {
+    // Leave keys alone while a form control or center button has focus
+    const target = event.target;
+    if (target !== document.body && target !== renderer.domElement) return;
+    if (event.ctrlKey || event.metaKey || event.altKey) return;
+    
+    const moves = {
+        ArrowLeft: [-1, 0, 0], ArrowRight: [1, 0, 0],
+        ArrowDown: [0, -1, 0], ArrowUp: [0, 1, 0],
+        PageDown: [0, 0, -1], PageUp: [0, 0, 1],
+        q: [0, 0, -1], e: [0, 0, 1]
+    };
+    const key = event.key.length === 1 ? event.key.toLowerCase() : event.key;
+    
+    if (moves[key]) {
+        event.preventDefault();
+        moveKeyboardCursor(...moves[key]);
+    } else if (key === 'Enter' || key === ' ') {
+        event.preventDefault();
+        if (!keyboardCursor || !cursorHighlight.visible) {
+            moveKeyboardCursor(0, 0, 0);
+            return;
+        }
+        tryLocalMove(getCursorIndex());
+    } else if (key === 'c' && usesCenterCubeButton()) {
+        event.preventDefault();
+        tryLocalMove(CENTER_INDEX);
+    }
+}
+
+function moveKeyboardCursor(dx, dy, dz) {
+    // The first key press only shows the cursor, starting at the front top-right corner
+    const last = game.size - 1;
+    const clamp = value => Math.min(Math.max(value, 0), last);
+    
+    if (!keyboardCursor || !cursorHighlight.visible) {
+        keyboardCursor = keyboardCursor || { x: last, y: last, z: last, face: 4 };
+    } else if (usesFacelets()) {
+        // x and y move across the face, z steps through the six faces
+        keyboardCursor = {
+            ...keyboardCursor,
+            x: clamp(keyboardCursor.x + dx),
+            y: clamp(keyboardCursor.y + dy),
+            face: (keyboardCursor.face + dz + FACES.length) % FACES.length
+        };
+    } else {
+        keyboardCursor = {
+            ...keyboardCursor,
+            x: clamp(keyboardCursor.x + dx),
+            y: clamp(keyboardCursor.y + dy),
+            z: clamp(keyboardCursor.z + dz)
+        };
+    }
+    
+    const index = getCursorIndex();
+    placeCellOutline(cursorHighlight, index);
+    cursorHighlight.visible = true;
+    
+    announce(`${describeCell(index)}, ${describeOwner(game.board[index])}.`);
+}
+
+function getCursorIndex() {
+    if (usesFacelets()) {
+        return faceletToIndex(keyboardCursor.face, keyboardCursor.x, keyboardCursor.y, game.size);
+    }
+    return coordsToIndex(keyboardCursor.x, keyboardCursor.y, keyboardCursor.z, game.size);
+}
+
+function createCellOutline(color, size) {
+    // Drawn on top, so it shows even for hidden cubes
+    const outline = new THREE.LineSegments(new THREE.EdgesGeometry(new THREE.BoxGeometry(size, size, size)), new THREE.LineBasicMaterial({
+        color: color,
+        depthTest: false,
+        transparent: true
+    }));
+    outline.renderOrder = 999;
+    return outline;
+}
+
+function getCellPosition(index) {
+    if (!usesFacelets()) return cubePieces[index].position.clone();
+    
+    const { cubeIndex, faceIndex } = faceletToSticker(index, game.size);
+    const cube = cubePieces[cubeIndex];
+    return cube.position.clone().add(cube.userData.stickers[faceIndex].position);
+}
+
+function placeCellOutline(outline, index) {
+    outline.position.copy(getCellPosition(index));
+    outline.scale.set(1, 1, 1);
+    
+    // Flatten the outline onto the sticker's face
+    if (usesFacelets()) {
+        outline.scale.setComponent(FACES[faceletToSticker(index, game.size).faceIndex].axis, 0.05);
+    }
+}
+
+function describeOwner(owner) {
+    return owner === 0 ? 'empty' : getPlayerName(owner);
+}
+
+function createBoardGrid() {
+    // Text mirror of the board for screen readers - one table per z layer, top row first
+    const grid = document.getElementById('board-grid');
+    const size = game.size;
+    
+    if (usesFacelets()) {
+        createFaceletGrid(grid, size);
+        return;
+    }
+    
+    for (let z = 0; z < size; z++) {
+        const table = document.createElement('table');
+        table.createCaption().textContent = `Layer z${z + 1}`;
         
-        // Check if cycle complete
-        if (progress >= 1) {
-            flashState.isYellow = !flashState.isYellow;
-            flashState.cycleStart = Date.now();
+        for (let y = size - 1; y >= 0; y--) {
+            const row = table.insertRow();
+            for (let x = 0; x < size; x++) {
+                const index = coordsToIndex(x, y, z, size);
+                const button = document.createElement('button');
+                button.dataset.index = index;
+                button.addEventListener('click', () => tryLocalMove(index));
+                row.insertCell().appendChild(button);
+            }
+        }
+        grid.appendChild(table);
+    }
+    
+    updateBoardGrid();
+}
+
+function createFaceletGrid(grid, size) {
+    // One table per face, same layout as the keyboard cursor
+    FACES.forEach((face, faceIndex) => {
+        const table = document.createElement('table');
+        table.createCaption().textContent = `${face.name} face`;
+        
+        for (let v = size - 1; v >= 0; v--) {
+            const row = table.insertRow();
+            for (let u = 0; u < size; u++) {
+                const index = faceletToIndex(faceIndex, u, v, size);
+                const button = document.createElement('button');
+                button.dataset.index = index;
+                button.addEventListener('click', () => tryLocalMove(index));
+                row.insertCell().appendChild(button);
+            }
         }
+        grid.appendChild(table);
+    });
+    
+    updateBoardGrid();
+}
+
+function updateBoardGrid() {
+    document.querySelectorAll('#board-grid button').forEach(button => {
+        const index = parseInt(button.dataset.index, 10);
+        const owner = game.board[index];
+        button.textContent = owner === 0 ? '-' : `P${owner}`;
+        button.setAttribute('aria-label', `${describeCell(index)}: ${describeOwner(owner)}`);
+    });
+}
+
+function updateUI() {
+    const player1UI = document.getElementById('player1');
+    const player2UI = document.getElementById('player2');
+    
+    if (game.currentPlayer === 1) {
+        player1UI.classList.add('player-active');
+        player2UI.classList.remove('player-active');
+    } else {
+        player2UI.classList.add('player-active');
+        player1UI.classList.remove('player-active');
+    }
+    
+    // Running line count in scoring games
+    const lineScore = document.getElementById('line-score');
+    lineScore.hidden = !game.scores;
+    if (game.scores) {
+        lineScore.textContent = `LINES ${game.scores[1]} - ${game.scores[2]}`;
+    }
+}
+
+function animate(frameTime) {
+    requestAnimationFrame(animate);
+    
+    // Every tween runs off the frame clock
+    if (lastFrameTime !== null) {
+        stepTweens(Math.min(frameTime - lastFrameTime, MAX_FRAME_STEP));
+    }
+    lastFrameTime = frameTime;
+    
+    // Update controls
+    if (controls) {
+        updateAutoOrbit();
+        controls.update();
     }
     
+    updateClocks();
+    updateCenterCubes();
+    
+    // Pulse the assist overlay
+    if (assistState.outlines.length > 0) {
+        updateAssistPulse();
+    }
+    
+    // Nothing can be drawn until the context is back
+    if (contextLost) return;
+    
     renderer.render(scene, camera);
+    renderCenterCubes();
 }
 
 function onWindowResize() {
@@ -1087,5 +3614,31 @@ function onWindowResize() {
     renderer.setSize(window.innerWidth, window.innerHeight);
 }
 
+// Three.js rebuilds its own GL state once the context is restored - the page only waits and says so
+function setupContextLossHandling() {
+    renderer.domElement.addEventListener('webglcontextlost', event => {
+        event.preventDefault(); // Asks the browser to restore the context instead of giving it up
+        contextLost = true;
+        document.getElementById('context-notice').hidden = false;
+    });
+    renderer.domElement.addEventListener('webglcontextrestored', () => {
+        contextLost = false;
+        renderer.shadowMap.needsUpdate = true;
+        document.getElementById('context-notice').hidden = true;
+        announce('3D view restored.');
+    });
+    // Local games are saved, so a reload picks them up again
+    document.getElementById('context-reload').addEventListener('click', () => window.location.reload());
+}
+
+// Every animation holds still while the tab is hidden
+function onVisibilityChange() {
+    if (document.hidden) {
+        pauseTweens();
+    } else {
+        resumeTweens();
+    }
+}
+
 // Initialize the game when the page loads
 window.addEventListener('load', init);
\ No newline at end of file
@@ -0,0 +1,408 @@
+// Reference server for online play - run with `node server.js` (PORT defaults to 8080).
+// Serves the game files and a WebSocket endpoint at /ws. Rooms are identified by short codes
+// and every move is validated with the same engine the browser uses.
+// No dependencies: the small subset of the WebSocket protocol we need is implemented below.
+
+import http from 'node:http';
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { createGame, applyMove, applyTwist, isLegalMove, isLegalTwist, isGameOver, otherPlayer } from './engine.js';
+
+const PORT = parseInt(process.env.PORT, 10) || 8080;
+const ROOT = path.dirname(fileURLToPath(import.meta.url));
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const ROOM_CODE_LETTERS = 'ABCDEFGHJKLMNPQRSTUVWXYZ'; // No I or O to keep codes readable
+const MAX_MESSAGE_SIZE = 16 * 1024;
+
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.ttf': 'font/ttf',
+    '.json': 'application/json'
+};
+
+// Room code -> { code, options, game, starter, players: { 1: connection, 2: connection },
+//                rematch: { 1, 2 } - who has asked to start over }
+const rooms = new Map();
+
+const server = http.createServer((req, res) => {
+    // Static files - only from the repo root, never above it
+    let urlPath;
+    try {
+        urlPath = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+    } catch (error) {
+        res.writeHead(400);
+        res.end('Bad request');
+        return;
+    }
+    const filePath = path.join(ROOT, urlPath === '/' ? 'index.html' : urlPath);
+
+    if (!filePath.startsWith(ROOT + path.sep) || !CONTENT_TYPES[path.extname(filePath)]) {
+        res.writeHead(404);
+        res.end('Not found');
+        return;
+    }
+
+    fs.readFile(filePath, (error, data) => {
+        if (error) {
+            res.writeHead(404);
+            res.end('Not found');
+            return;
+        }
+        res.writeHead(200, { 'Content-Type': CONTENT_TYPES[path.extname(filePath)] });
+        res.end(data);
+    });
+});
+
+server.on('upgrade', (req, socket) => {
+    const key = req.headers['sec-websocket-key'];
+    const { pathname } = new URL(req.url, 'http://localhost');
+
+    if (pathname !== '/ws' || !key || (req.headers.upgrade || '').toLowerCase() !== 'websocket') {
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+        return;
+    }
+
+    const accept = crypto.createHash('sha1').update(key + WS_GUID).digest('base64');
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${accept}`,
+        '\r\n'
+    ].join('\r\n'));
+
+    const connection = { socket: socket, room: null, player: 0, buffer: Buffer.alloc(0) };
+
+    socket.on('data', chunk => {
+        connection.buffer = Buffer.concat([connection.buffer, chunk]);
+        readFrames(connection);
+    });
+    socket.on('close', () => leaveRoom(connection));
+    socket.on('error', () => socket.destroy());
+});
+
+// WebSocket framing (RFC 6455) - text, close and ping frames, unfragmented
+
+function readFrames(connection) {
+    let buffer = connection.buffer;
+
+    while (buffer.length >= 2) {
+        const fin = (buffer[0] & 0x80) !== 0;
+        const opcode = buffer[0] & 0x0f;
+        const masked = (buffer[1] & 0x80) !== 0;
+        let length = buffer[1] & 0x7f;
+        let offset = 2;
+
+        if (length === 126) {
+            if (buffer.length < 4) break;
+            length = buffer.readUInt16BE(2);
+            offset = 4;
+        } else if (length === 127) {
+            if (buffer.length < 10) break;
+            length = Number(buffer.readBigUInt64BE(2));
+            offset = 10;
+        }
+
+        // Clients must mask their frames, and we never need large or fragmented messages
+        if (!masked || !fin || length > MAX_MESSAGE_SIZE) {
+            closeConnection(connection, 1002);
+            return;
+        }
+        if (buffer.length < offset + 4 + length) break;
+
+        const mask = buffer.subarray(offset, offset + 4);
+        const payload = Buffer.from(buffer.subarray(offset + 4, offset + 4 + length));
+        for (let i = 0; i < payload.length; i++) {
+            payload[i] ^= mask[i % 4];
+        }
+        buffer = buffer.subarray(offset + 4 + length);
+
+        if (opcode === 0x1) {
+            handleMessage(connection, payload.toString('utf8'));
+        } else if (opcode === 0x8) {
+            closeConnection(connection, 1000);
+            return;
+        } else if (opcode === 0x9) {
+            writeFrame(connection.socket, 0xA, payload);
+        }
+    }
+
+    connection.buffer = buffer;
+}
+
+function writeFrame(socket, opcode, payload) {
+    let header;
+    if (payload.length < 126) {
+        header = Buffer.from([0x80 | opcode, payload.length]);
+    } else if (payload.length < 65536) {
+        header = Buffer.alloc(4);
+        header[0] = 0x80 | opcode;
+        header[1] = 126;
+        header.writeUInt16BE(payload.length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[0] = 0x80 | opcode;
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(payload.length), 2);
+    }
+
+    if (!socket.destroyed) {
+        socket.write(Buffer.concat([header, payload]));
+    }
+}
+
+function send(connection, message) {
+    if (connection) {
+        writeFrame(connection.socket, 0x1, Buffer.from(JSON.stringify(message), 'utf8'));
+    }
+}
+
+function closeConnection(connection, code) {
+    const payload = Buffer.alloc(2);
+    payload.writeUInt16BE(code, 0);
+    writeFrame(connection.socket, 0x8, payload);
+    connection.socket.end();
+    leaveRoom(connection);
+}
+
+// Game protocol - JSON messages, see online.js for the client side
+
+function handleMessage(connection, text) {
+    let message;
+    try {
+        message = JSON.parse(text);
+    } catch (error) {
+        send(connection, { type: 'error', message: 'Messages must be JSON' });
+        return;
+    }
+
+    if (!isValidMessage(message)) {
+        send(connection, { type: 'error', message: 'Malformed message' });
+        return;
+    }
+
+    // One bad message must never take down the other rooms
+    try {
+        switch (message.type) {
+            case 'create':
+                createRoom(connection, message.options || {});
+                break;
+            case 'join':
+                joinRoom(connection, message.room.toUpperCase());
+                break;
+            case 'move':
+                handleMove(connection, message.index);
+                break;
+            case 'twist':
+                handleTwist(connection, message.twist);
+                break;
+            case 'rematch':
+                handleRematch(connection);
+                break;
+            default:
+                send(connection, { type: 'error', message: 'Unknown message type' });
+        }
+    } catch (error) {
+        send(connection, { type: 'error', message: 'Could not handle that message' });
+    }
+}
+
+// Checks the field types of the message before any of them is used
+function isValidMessage(message) {
+    if (!message || typeof message !== 'object' || typeof message.type !== 'string') return false;
+
+    switch (message.type) {
+        case 'create':
+            return message.options === undefined || isValidOptions(message.options);
+        case 'join':
+            return typeof message.room === 'string';
+        case 'move':
+            return Number.isInteger(message.index);
+        case 'twist':
+            return typeof message.twist === 'string';
+        default:
+            return true;
+    }
+}
+
+function isValidOptions(options) {
+    const optional = (value, type) => value === undefined || typeof value === type;
+    return Boolean(options) && typeof options === 'object' &&
+        optional(options.size, 'number') && optional(options.winLength, 'number') &&
+        optional(options.variant, 'string') && optional(options.goal, 'string') &&
+        optional(options.noCenterOpening, 'boolean');
+}
+
+function createRoomCode() {
+    let code;
+    do {
+        code = '';
+        for (let i = 0; i < 4; i++) {
+            code += ROOM_CODE_LETTERS[crypto.randomInt(ROOM_CODE_LETTERS.length)];
+        }
+    } while (rooms.has(code));
+    return code;
+}
+
+function createRoom(connection, options) {
+    leaveRoom(connection);
+
+    let game;
+    try {
+        game = createGame({
+            size: options.size,
+            winLength: options.winLength,
+            variant: options.variant,
+            goal: options.goal,
+            noCenterOpening: options.noCenterOpening
+        });
+    } catch (error) {
+        send(connection, { type: 'error', message: error.message });
+        return;
+    }
+
+    const room = {
+        code: createRoomCode(),
+        options: {
+            size: game.size,
+            winLength: game.winLength,
+            variant: game.variant,
+            goal: game.goal,
+            noCenterOpening: game.noCenterOpening
+        },
+        game: game,
+        starter: 1,
+        players: { 1: connection, 2: null },
+        rematch: { 1: false, 2: false }
+    };
+    rooms.set(room.code, room);
+
+    connection.room = room;
+    connection.player = 1;
+    sendJoined(room, 1);
+}
+
+function joinRoom(connection, code) {
+    const room = rooms.get(code);
+    if (!room) {
+        send(connection, { type: 'error', message: `No room with code ${code}` });
+        return;
+    }
+    if (connection.room === room) {
+        sendJoined(room, connection.player);
+        return;
+    }
+
+    const seat = !room.players[1] ? 1 : (!room.players[2] ? 2 : 0);
+    if (seat === 0) {
+        send(connection, { type: 'error', message: `Room ${code} is full` });
+        return;
+    }
+
+    leaveRoom(connection);
+    room.players[seat] = connection;
+    connection.room = room;
+    connection.player = seat;
+
+    sendJoined(room, seat);
+    send(room.players[otherPlayer(seat)], { type: 'opponentJoined' });
+}
+
+function sendJoined(room, player) {
+    // Everything a client needs to rebuild the current game, including one joining mid-game
+    send(room.players[player], {
+        type: 'joined',
+        room: room.code,
+        player: player,
+        options: room.options,
+        firstPlayer: room.starter,
+        moves: room.game.moves.map(move => move.twist || move.index), // Twists by name, claims by cell
+        opponentConnected: Boolean(room.players[otherPlayer(player)])
+    });
+}
+
+function checkTurn(connection) {
+    const room = connection.room;
+    if (!room) {
+        send(connection, { type: 'error', message: 'Not in a room' });
+        return false;
+    }
+    if (room.game.currentPlayer !== connection.player || isGameOver(room.game)) {
+        send(connection, { type: 'error', message: 'Not your turn' });
+        return false;
+    }
+    return true;
+}
+
+function handleMove(connection, index) {
+    if (!checkTurn(connection)) return;
+
+    const room = connection.room;
+    if (!isLegalMove(room.game, index)) {
+        send(connection, { type: 'error', message: `Illegal move: ${index}` });
+        return;
+    }
+
+    room.game = applyMove(room.game, index);
+    broadcast(room, { type: 'move', index: index, player: connection.player });
+}
+
+function handleTwist(connection, twist) {
+    if (!checkTurn(connection)) return;
+
+    const room = connection.room;
+    if (!isLegalTwist(room.game, twist)) {
+        send(connection, { type: 'error', message: `Illegal twist: ${twist}` });
+        return;
+    }
+
+    room.game = applyTwist(room.game, twist);
+    broadcast(room, { type: 'twist', twist: twist, player: connection.player });
+}
+
+// The game only starts over once both players have asked
+function handleRematch(connection) {
+    const room = connection.room;
+    if (!room) return;
+
+    const opponent = otherPlayer(connection.player);
+    room.rematch[connection.player] = true;
+    if (!room.rematch[opponent]) {
+        send(room.players[opponent], { type: 'rematchRequested' });
+        return;
+    }
+
+    room.rematch = { 1: false, 2: false };
+    room.starter = otherPlayer(room.starter);
+    room.game = createGame({ ...room.options, firstPlayer: room.starter });
+    broadcast(room, { type: 'newGame', firstPlayer: room.starter });
+}
+
+function broadcast(room, message) {
+    send(room.players[1], message);
+    send(room.players[2], message);
+}
+
+function leaveRoom(connection) {
+    const room = connection.room;
+    if (!room) return;
+
+    room.players[connection.player] = null;
+    room.rematch[connection.player] = false;
+    connection.room = null;
+
+    const opponent = room.players[otherPlayer(connection.player)];
+    if (opponent) {
+        send(opponent, { type: 'opponentLeft' });
+    } else {
+        rooms.delete(room.code);
+    }
+}
+
+server.listen(PORT, () => {
+    console.log(`Tic Tac Toe 3D server running at http://localhost:${PORT}`);
+});
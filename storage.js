@@ -0,0 +1,41 @@
+// Saved game and settings in localStorage.
+// Bump SAVE_VERSION whenever the saved shape changes - older saves are then
+// discarded instead of being misread.
+
+const STORAGE_KEY = 'tictactoe3d-save';
+export const SAVE_VERSION = 1;
+
+export function readSave() {
+    let data;
+    try {
+        const raw = window.localStorage.getItem(STORAGE_KEY);
+        if (!raw) return null;
+        data = JSON.parse(raw);
+    } catch (error) {
+        return null; // Storage disabled or a corrupt save
+    }
+
+    if (!data || typeof data !== 'object' || data.version !== SAVE_VERSION) {
+        clearSave();
+        return null;
+    }
+    return data;
+}
+
+// Merges the given sections ({ settings }, { game }) into the save
+export function updateSave(sections) {
+    const data = { ...(readSave() || {}), ...sections, version: SAVE_VERSION };
+    try {
+        window.localStorage.setItem(STORAGE_KEY, JSON.stringify(data));
+    } catch (error) {
+        // Storage full or disabled - the game still works without saving
+    }
+}
+
+export function clearSave() {
+    try {
+        window.localStorage.removeItem(STORAGE_KEY);
+    } catch (error) {
+        // Nothing to clear
+    }
+}
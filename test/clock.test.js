@@ -0,0 +1,75 @@
+// Game clocks - times are plain numbers, so no real time passes here
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createClocks, isClockOn, getRemaining, startTurn, endTurn, pauseClocks, resumeClocks, findFlagged, formatClock } from '../clock.js';
+
+test('a game clock runs down only for the player to move', () => {
+    let clocks = startTurn(createClocks('game-3'), 1, 1000);
+    assert.equal(getRemaining(clocks, 1, 6000), 175000);
+    assert.equal(getRemaining(clocks, 2, 6000), 180000);
+
+    clocks = startTurn(clocks, 2, 6000);
+    assert.equal(getRemaining(clocks, 1, 60000), 175000);
+    assert.equal(getRemaining(clocks, 2, 60000), 126000);
+});
+
+test('a move clock starts fresh every turn', () => {
+    let clocks = startTurn(createClocks('move-10'), 1, 0);
+    clocks = startTurn(clocks, 2, 9000);
+    clocks = startTurn(clocks, 1, 12000);
+    assert.equal(getRemaining(clocks, 1, 12000), 10000);
+    assert.equal(getRemaining(clocks, 2, 12000), 7000);
+});
+
+test('the increment is added after a move made in time', () => {
+    let clocks = startTurn(createClocks('game-3-2'), 1, 0);
+    clocks = endTurn(clocks, 10000);
+    assert.equal(clocks.remaining[1], 172000);
+    assert.equal(clocks.player, null);
+});
+
+test('a player out of time is flagged and gets no increment', () => {
+    const clocks = startTurn(createClocks('game-3-2'), 2, 0);
+    assert.equal(findFlagged(clocks, 179999), null);
+    assert.equal(findFlagged(clocks, 180000), 2);
+    assert.equal(getRemaining(clocks, 2, 200000), 0);
+    assert.equal(endTurn(clocks, 200000).remaining[2], 0);
+});
+
+test('paused clocks hold until every reason has resumed', () => {
+    let clocks = startTurn(createClocks('game-5'), 1, 0);
+    clocks = pauseClocks(clocks, 'fade', 1000);
+    clocks = pauseClocks(clocks, 'hidden', 2000);
+    assert.equal(getRemaining(clocks, 1, 50000), 299000);
+
+    clocks = resumeClocks(clocks, 'fade', 50000);
+    assert.equal(getRemaining(clocks, 1, 60000), 299000);
+    clocks = resumeClocks(clocks, 'hidden', 60000);
+    assert.equal(getRemaining(clocks, 1, 61000), 298000);
+
+    // A turn started while paused waits for the resume
+    clocks = startTurn(pauseClocks(clocks, 'fade', 61000), 2, 61000);
+    assert.equal(getRemaining(clocks, 2, 70000), 300000);
+    assert.equal(getRemaining(resumeClocks(clocks, 'fade', 70000), 2, 75000), 295000);
+});
+
+test('no clock never runs', () => {
+    const clocks = startTurn(createClocks('off'), 1, 0);
+    assert.equal(isClockOn(clocks), false);
+    assert.equal(findFlagged(clocks, 1e9), null);
+    assert.equal(isClockOn(createClocks('no-such-preset')), false);
+});
+
+test('saved remaining times are restored', () => {
+    const clocks = createClocks('game-3', { 1: 5000, 2: 60000 });
+    assert.deepEqual(clocks.remaining, { 1: 5000, 2: 60000 });
+});
+
+test('clocks show minutes, then tenths in the last ten seconds', () => {
+    assert.equal(formatClock(245000), '4:05');
+    assert.equal(formatClock(60000), '1:00');
+    assert.equal(formatClock(10001), '0:11');
+    assert.equal(formatClock(8349), '8.3');
+    assert.equal(formatClock(0), '0.0');
+});
@@ -0,0 +1,50 @@
+// Engine rules
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createGame, applyMove, getLegalMoves, isGameOver, isLegalMove, CENTER_INDEX } from '../engine.js';
+
+function play(options, moves) {
+    return moves.reduce((state, index) => applyMove(state, index), createGame(options));
+}
+
+test('completing a line wins', () => {
+    // Player 1 takes the x = 0 edge 0-1-2, player 2 plays elsewhere
+    const state = play({}, [0, 9, 1, 10, 2]);
+    assert.equal(state.winner, 1);
+    assert.deepEqual(state.winningLines, [[0, 1, 2]]);
+    assert.deepEqual(getLegalMoves(state), []);
+});
+
+test('the game goes on until a line is complete', () => {
+    const state = play({}, [0, 9, 1, 10]);
+    assert.equal(isGameOver(state), false);
+    assert.equal(state.currentPlayer, 1);
+});
+
+test('a full board without a line is a draw', () => {
+    // A complete 4x4x4 game in which nobody finished a line of four
+    const moves = [21, 0, 46, 59, 2, 47, 19, 60, 5, 35, 36, 11, 44, 3, 17, 1, 15, 14, 13, 28, 45, 48, 32, 27,
+        63, 10, 49, 4, 62, 22, 20, 33, 26, 38, 37, 42, 39, 54, 56, 53, 24, 57, 43, 55, 52, 29, 18, 58, 51, 31,
+        50, 25, 41, 9, 12, 16, 7, 23, 8, 40, 6, 34, 30, 61];
+    const state = play({ size: 4, winLength: 4 }, moves);
+    assert.equal(state.winner, 0);
+    assert.deepEqual(state.winningLines, []);
+});
+
+test('in misère the player who completes a line loses', () => {
+    const state = play({ goal: 'misere' }, [0, 9, 1, 10, 2]);
+    assert.equal(state.winner, 2);
+    assert.deepEqual(state.winningLines, [[0, 1, 2]]);
+});
+
+test('no center opening forbids the center on move one only', () => {
+    const state = createGame({ noCenterOpening: true });
+    assert.equal(isLegalMove(state, CENTER_INDEX), false);
+    assert.equal(isLegalMove(applyMove(state, 0), CENTER_INDEX), true);
+});
+
+test('boards outside 3 to 5 are rejected', () => {
+    assert.throws(() => createGame({ size: 6 }), /Unsupported board/);
+    assert.throws(() => createGame({ size: 3, winLength: 4 }), /Unsupported board/);
+});
@@ -0,0 +1,24 @@
+// Winning lines
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { generateWinningLines, expectedLineCount } from '../lines.js';
+
+test('full-length lines match ((N + 2)^3 - N^3) / 2 for N = 3 to 5', () => {
+    [[3, 49], [4, 76], [5, 109]].forEach(([size, count]) => {
+        assert.equal(expectedLineCount(size), count);
+        assert.equal(generateWinningLines(size).length, count);
+    });
+});
+
+test('every line is distinct and stays on the board', () => {
+    [3, 4, 5].forEach(size => {
+        const lines = generateWinningLines(size);
+        const keys = new Set(lines.map(line => [...line].sort((a, b) => a - b).join(',')));
+        assert.equal(keys.size, lines.length);
+        lines.forEach(line => {
+            assert.equal(line.length, size);
+            line.forEach(index => assert.ok(index >= 0 && index < size * size * size));
+        });
+    });
+});
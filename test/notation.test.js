@@ -0,0 +1,87 @@
+// Game notation
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createGame, applyMove, applyTwist } from '../engine.js';
+import { formatCell, parseCell, formatGameRecord, parseGameRecord, replayGameRecord, formatPosition, parsePosition, NotationError } from '../notation.js';
+
+function play(options, moves) {
+    return moves.reduce((state, move) => typeof move === 'string' ? applyTwist(state, move) : applyMove(state, move), createGame(options));
+}
+
+// Record text -> parsed record -> replayed game -> the same text
+function assertRoundTrip(options, moves, expected) {
+    const state = play(options, moves);
+    const text = formatGameRecord(state);
+    assert.equal(text, expected);
+
+    const record = parseGameRecord(text);
+    assert.deepEqual(record.moves, moves);
+    const replayed = replayGameRecord(record);
+    assert.deepEqual(replayed.board, state.board);
+    assert.equal(formatGameRecord(replayed), text);
+}
+
+test('cells are x, y, z counted from 1', () => {
+    assert.equal(formatCell(0, 3), '111');
+    assert.equal(formatCell(14, 3), '223'); // x = 1, y = 1, z = 2
+    assert.equal(parseCell('223', 3), 14);
+    assert.equal(parseCell('444', 4), 63);
+    assert.equal(formatCell(parseCell('F32', 3, 'facelets'), 3, 'facelets'), 'F32');
+});
+
+test('records round-trip for every variant and rule', () => {
+    assertRoundTrip({}, [13, 0, 26], '3.3.1:222-111-333');
+    assertRoundTrip({ size: 4, firstPlayer: 2 }, [0, 63], '4.4.2:111-444');
+    assertRoundTrip({ size: 5, winLength: 4 }, [62], '5.4.1:333');
+    assertRoundTrip({ variant: 'facelets' }, [parseCell('F22', 3, 'facelets')], '3.3.1.f:F22');
+    assertRoundTrip({ variant: 'twist' }, [13, 'R', 0, "U'"], "3.3.1.t:222-R-111-U'");
+    assertRoundTrip({ variant: 'gravity' }, [parseCell('212', 3), parseCell('211', 3)], '3.3.1.g:212-211');
+    assertRoundTrip({ variant: 'gravity', goal: 'misere', noCenterOpening: true }, [parseCell('212', 3)], '3.3.1.g.m.n:212');
+    assertRoundTrip({ goal: 'score' }, [0], '3.3.1.s:111');
+});
+
+test('plain moves are a standard game started by player 1', () => {
+    const record = parseGameRecord('222-311');
+    assert.deepEqual([record.size, record.winLength, record.firstPlayer, record.variant, record.goal], [3, 3, 1, 'cubes', 'line']);
+    assert.deepEqual(record.moves, [13, 18]);
+});
+
+test('unreadable records say what is wrong', () => {
+    const cases = [
+        ['3.3:222', /"3.3" is not a game header/],
+        ['9.9.1:222', /Unsupported board: size 9 with lines of 9 - boards are 3 to 5 wide/],
+        ['4.5.1:111', /Unsupported board: size 4 with lines of 5/],
+        ['3.3.1:222-22', /Move 2: "22" is not a cell/],
+        ['3.3.1:224', /Move 1: Cell 224 is outside a 3x3x3 board/],
+        ['3.3.1.f:X11', /Move 1: "X11" is not a sticker/],
+        ['3.3.1:222-R', /Move 2: "R" is not a cell/]
+    ];
+    cases.forEach(([text, message]) => {
+        assert.throws(() => parseGameRecord(text), error => error instanceof NotationError && message.test(error.message));
+    });
+});
+
+test('illegal records fail on replay with the move that broke them', () => {
+    const cases = [
+        ['3.3.1:222-222', /Move 2 \(222\) is on a cell that is already taken/],
+        ['3.3.1:111-121-112-122-113-123', /Move 6 \(123\) comes after the game has ended/],
+        ['3.3.1.n:222', /Move 1 \(222\) takes the center on move one/],
+        ['3.3.1.g:222', /Move 1 \(222\) is above an empty cell/],
+        ["3.3.1.t:R-R'", /Move 2 \(R'\) undoes the twist just before it/]
+    ];
+    cases.forEach(([text, message]) => {
+        assert.throws(() => replayGameRecord(parseGameRecord(text)), error => error instanceof NotationError && message.test(error.message));
+    });
+});
+
+test('positions round-trip and check their size', () => {
+    const state = play({}, [13, 0]);
+    const text = formatPosition(state.board, 3);
+    assert.equal(text, `3:o${'.'.repeat(12)}x${'.'.repeat(13)}`);
+    assert.deepEqual(parsePosition(text), { size: 3, variant: 'cubes', board: state.board });
+
+    assert.throws(() => parsePosition('3:...'), /needs 27 cells, got 3/);
+    assert.throws(() => parsePosition(`6:${'.'.repeat(216)}`), /boards are 3 to 5 wide/);
+    assert.throws(() => parsePosition('3:abc'), NotationError);
+});
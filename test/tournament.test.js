@@ -0,0 +1,156 @@
+// Tournament pairings and standings
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createTournament, recordGameResult, getNextGame, isTournamentOver, countGames, getStandings, serializeTournament, restoreTournament, TournamentError } from '../tournament.js';
+
+// Plays every remaining game, pick(seats) returning the engine winner: 1, 2 or 0 for a draw
+function playOut(tournament, pick) {
+    let next;
+    while ((next = getNextGame(tournament)) !== null) {
+        tournament = recordGameResult(tournament, next.match, next.game, pick(next.seats));
+    }
+    return tournament;
+}
+
+// Seat of the named player - player indexes are roster positions
+function seatOf(seats, player) {
+    return seats[1] === player ? 1 : 2;
+}
+
+function pairKey(match) {
+    return [match.a, match.b].sort().join('-');
+}
+
+test('a round robin pairs everyone once, one match each per round', () => {
+    const tournament = createTournament('round-robin', ['Ann', 'Bob', 'Cy', 'Dee']);
+    assert.equal(tournament.matches.length, 6);
+    assert.equal(new Set(tournament.matches.map(pairKey)).size, 6);
+
+    for (let round = 0; round < 3; round++) {
+        const players = tournament.matches.filter(match => match.round === round).flatMap(match => [match.a, match.b]);
+        assert.deepEqual(players.sort(), [0, 1, 2, 3]);
+    }
+});
+
+test('an odd round robin gives each player one bye', () => {
+    const tournament = createTournament('round-robin', ['Ann', 'Bob', 'Cy', 'Dee', 'Eve']);
+    assert.equal(tournament.matches.length, 10);
+    assert.equal(new Set(tournament.matches.map(pairKey)).size, 10);
+
+    const byes = [];
+    for (let round = 0; round < 5; round++) {
+        const players = tournament.matches.filter(match => match.round === round).flatMap(match => [match.a, match.b]);
+        assert.equal(players.length, 4);
+        byes.push([0, 1, 2, 3, 4].find(player => !players.includes(player)));
+    }
+    assert.deepEqual(byes.sort(), [0, 1, 2, 3, 4]);
+});
+
+test('every match is two games with the seats swapped', () => {
+    const tournament = createTournament('round-robin', ['Ann', 'Bob', 'Cy']);
+    tournament.matches.forEach(match => {
+        assert.deepEqual(match.games.map(game => game.seats), [{ 1: match.a, 2: match.b }, { 1: match.b, 2: match.a }]);
+    });
+});
+
+test('an elimination bracket gives the byes to the top seeds', () => {
+    const tournament = createTournament('elimination', ['Ann', 'Bob', 'Cy', 'Dee', 'Eve']);
+    const firstRound = tournament.matches.filter(match => match.round === 0);
+    assert.deepEqual(firstRound.filter(match => match.b === null).map(match => match.winner), [0, 1, 2]);
+    assert.deepEqual(firstRound.filter(match => match.b !== null).map(match => [match.a, match.b]), [[3, 4]]);
+
+    // Seeds 1 and 2 are in different halves, so they can only meet in the final
+    const semis = tournament.matches.filter(match => match.round === 1);
+    assert.deepEqual(semis.map(match => match.a), [0, 1]);
+    assert.equal(getNextGame(tournament).match, tournament.matches.indexOf(firstRound.find(match => match.b === 4)));
+});
+
+test('elimination winners move on until there is a champion', () => {
+    // The lower roster index always wins, so the top seed takes the title
+    const tournament = playOut(createTournament('elimination', ['Ann', 'Bob', 'Cy', 'Dee', 'Eve']),
+        seats => seatOf(seats, Math.min(seats[1], seats[2])));
+    assert.equal(isTournamentOver(tournament), true);
+    assert.equal(tournament.matches[tournament.matches.length - 1].winner, 0);
+
+    // Ranked by the round reached, then points - Dee beat Eve before losing the semi-final
+    const standings = getStandings(tournament);
+    assert.deepEqual(standings.map(row => [row.name, row.points]),
+        [['Ann', 4], ['Bob', 2], ['Dee', 2], ['Cy', 0], ['Eve', 0]]);
+});
+
+test('a level elimination match plays on, then goes to the higher seed', () => {
+    const tournament = playOut(createTournament('elimination', ['Ann', 'Bob']), () => 0);
+    const final = tournament.matches[0];
+    assert.equal(final.games.length, 6);
+    assert.equal(final.winner, 0);
+    assert.equal(countGames(tournament), 6);
+
+    // A win in the extra games settles it
+    let decided = createTournament('elimination', ['Ann', 'Bob']);
+    decided = recordGameResult(decided, 0, 0, 0);
+    decided = recordGameResult(decided, 0, 1, 0);
+    decided = recordGameResult(decided, 0, 2, seatOf(decided.matches[0].games[2].seats, 1));
+    assert.equal(decided.matches[0].games.length, 3);
+    assert.equal(decided.matches[0].winner, 1);
+});
+
+test('a drawn round robin match stays drawn', () => {
+    const tournament = playOut(createTournament('round-robin', ['Ann', 'Bob']), () => 0);
+    assert.equal(tournament.matches[0].done, true);
+    assert.equal(tournament.matches[0].winner, null);
+    assert.deepEqual(getStandings(tournament).map(row => [row.points, row.rank]), [[1, 1], [1, 1]]);
+});
+
+// Round robin where winners[pair] names the player who wins both games, by roster index;
+// pairs left out are drawn
+function playRoundRobin(names, winners) {
+    return playOut(createTournament('round-robin', names), seats => {
+        const winner = winners[[seats[1], seats[2]].sort().join('-')];
+        return winner === undefined ? 0 : seatOf(seats, winner);
+    });
+}
+
+test('round robin ties go to head-to-head first', () => {
+    // Ann and Bob both have 4 points, but Bob beat Ann. Cy and Dee are level on everything
+    const standings = getStandings(playRoundRobin(['Ann', 'Bob', 'Cy', 'Dee'], { '0-1': 1, '0-2': 0, '0-3': 0 }));
+    assert.deepEqual(standings.map(row => [row.name, row.points, row.rank]),
+        [['Bob', 4, 1], ['Ann', 4, 2], ['Cy', 2, 3], ['Dee', 2, 3]]);
+    assert.deepEqual(standings.map(row => row.headToHead), [2, 0, 1, 1]);
+});
+
+test('round robin ties level on head-to-head go to Sonneborn-Berger', () => {
+    // Ann and Bob drew and both have 3 points, but Ann beat Cy (4 points) where Bob beat Dee (2)
+    const standings = getStandings(playRoundRobin(['Ann', 'Bob', 'Cy', 'Dee'],
+        { '0-2': 0, '0-3': 3, '1-2': 2, '1-3': 1, '2-3': 2 }));
+    assert.deepEqual(standings.map(row => [row.name, row.points, row.headToHead, row.tiebreak]),
+        [['Cy', 4, 0, 10], ['Ann', 3, 1, 11], ['Bob', 3, 1, 7], ['Dee', 2, 0, 6]]);
+    assert.deepEqual(standings.map(row => row.rank), [1, 2, 3, 4]);
+});
+
+test('results are checked before they are recorded', () => {
+    const tournament = createTournament('round-robin', ['Ann', 'Bob']);
+    assert.throws(() => recordGameResult(tournament, 0, 0, 3), TournamentError);
+    assert.throws(() => recordGameResult(tournament, 5, 0, 1), TournamentError);
+
+    const played = recordGameResult(tournament, 0, 0, 1);
+    assert.throws(() => recordGameResult(played, 0, 0, 1), /isn't waiting for a result/);
+    assert.equal(tournament.matches[0].games[0].winner, null); // The original is left alone
+});
+
+test('rosters are checked', () => {
+    assert.throws(() => createTournament('swiss', ['Ann', 'Bob']), /Unknown format/);
+    assert.throws(() => createTournament('round-robin', ['Ann', ' ']), /at least two players/);
+    assert.throws(() => createTournament('round-robin', ['Ann', 'Bob', 'Ann']), /Ann is on the roster twice/);
+    assert.throws(() => createTournament('elimination', Array.from({ length: 17 }, (_, i) => `P${i}`)), /at most 16/);
+});
+
+test('a saved tournament replays to the same state', () => {
+    let tournament = createTournament('elimination', ['Ann', 'Bob', 'Cy']);
+    const next = getNextGame(tournament);
+    tournament = recordGameResult(tournament, next.match, next.game, 2);
+
+    const restored = restoreTournament(JSON.parse(JSON.stringify(serializeTournament(tournament))));
+    assert.deepEqual(restored, tournament);
+    assert.equal(restoreTournament({ format: 'round-robin', players: ['Ann', 'Bob'], results: [{ match: 9, game: 0, winner: 1 }] }), null);
+});
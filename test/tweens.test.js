@@ -0,0 +1,50 @@
+// Tween scheduler - each test file runs in its own process, so the clock starts at 0 here
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { linear, startTween, stepTweens, cancelTween, finishTween, isTweening, pauseTweens, resumeTweens, getTweenTime } from '../tweens.js';
+
+test('stepTweens updates running tweens in the order they started', () => {
+    const calls = [];
+    startTween('first', { duration: 100, ease: linear, update: value => calls.push(['first', value]) });
+    startTween('second', { duration: 200, ease: linear, update: value => calls.push(['second', value]) });
+    calls.length = 0;
+
+    stepTweens(50);
+    assert.deepEqual(calls, [['first', 0.5], ['second', 0.25]]);
+    cancelTween('first');
+    cancelTween('second');
+});
+
+test('a tween completes once, after its last update', () => {
+    const calls = [];
+    startTween('fade', {
+        duration: 100,
+        ease: linear,
+        update: value => calls.push(value),
+        complete: () => calls.push('done')
+    });
+    stepTweens(60);
+    stepTweens(60);
+    stepTweens(60);
+    assert.deepEqual(calls, [0, 0.6, 1, 'done']);
+    assert.equal(isTweening('fade'), false);
+});
+
+test('starting a tween under a running name replaces it', () => {
+    const calls = [];
+    startTween('move', { duration: 100, ease: linear, update: () => calls.push('old'), complete: () => calls.push('old done') });
+    startTween('move', { duration: 100, ease: linear, update: () => calls.push('new') });
+    finishTween('move');
+    assert.deepEqual(calls, ['old', 'new', 'new']);
+});
+
+test('a paused scheduler holds the clock', () => {
+    const start = getTweenTime();
+    pauseTweens();
+    stepTweens(1000);
+    assert.equal(getTweenTime(), start);
+    resumeTweens();
+    stepTweens(10);
+    assert.equal(getTweenTime(), start + 10);
+});
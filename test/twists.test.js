@@ -0,0 +1,64 @@
+// Layer twists
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { TWIST_NAMES, inverseTwist, getTwistCells } from '../twists.js';
+import { coordsToIndex, indexToCoords } from '../lines.js';
+
+// Where every cell of the board ends up after the twist
+function permutation(name, size) {
+    const to = Array.from({ length: size * size * size }, (_, i) => i);
+    getTwistCells(name, size).forEach(([from, target]) => {
+        to[from] = target;
+    });
+    return to;
+}
+
+function compose(first, second) {
+    return first.map(target => second[target]);
+}
+
+test('each twist moves exactly one outer layer onto itself', () => {
+    [3, 4, 5].forEach(size => {
+        TWIST_NAMES.forEach(name => {
+            const pairs = getTwistCells(name, size);
+            assert.equal(pairs.length, size * size);
+
+            const froms = new Set(pairs.map(([from]) => from));
+            const tos = new Set(pairs.map(([, to]) => to));
+            assert.deepEqual([...tos].sort(), [...froms].sort());
+        });
+    });
+});
+
+test('a twist and its inverse cancel out, and four quarter turns are a full turn', () => {
+    [3, 4].forEach(size => {
+        const identity = Array.from({ length: size * size * size }, (_, i) => i);
+        TWIST_NAMES.forEach(name => {
+            const turn = permutation(name, size);
+            assert.notDeepEqual(turn, identity);
+            assert.deepEqual(compose(turn, permutation(inverseTwist(name), size)), identity);
+            assert.deepEqual(compose(compose(turn, turn), compose(turn, turn)), identity);
+        });
+    });
+});
+
+test('inverse names add or drop the prime', () => {
+    assert.equal(inverseTwist('R'), "R'");
+    assert.equal(inverseTwist("U'"), 'U');
+    assert.equal(TWIST_NAMES.length, 12);
+});
+
+test('R turns the right face clockwise as seen from the right', () => {
+    // Seen from +x, clockwise takes the top edge (y = 2) to the back (z = 0)
+    const size = 3;
+    const moved = new Map(getTwistCells('R', size));
+    assert.deepEqual(indexToCoords(moved.get(coordsToIndex(2, 2, 1, size)), size), { x: 2, y: 1, z: 0 });
+    assert.equal(moved.get(coordsToIndex(2, 1, 1, size)), coordsToIndex(2, 1, 1, size)); // The face center stays put
+
+    // U turns the top layer, leaving the rest alone
+    getTwistCells('U', size).forEach(([from, to]) => {
+        assert.equal(indexToCoords(from, size).y, 2);
+        assert.equal(indexToCoords(to, size).y, 2);
+    });
+});
@@ -0,0 +1,372 @@
+// Local tournaments - a roster of named players meeting in round-robin or single-elimination
+// pairings. Every function returns a new tournament.
+//
+// Every pairing is a match of two games with the seats swapped, so each player has the first
+// move (seat 1) once. Game winners use the engine's convention: null unplayed, 0 drawn,
+// otherwise the winning seat (1 or 2). Players are indexes into the roster, which is also the seeding.
+
+export const TOURNAMENT_FORMATS = [
+    { id: 'round-robin', label: 'Round robin' },
+    { id: 'elimination', label: 'Single elimination' }
+];
+
+const MAX_PLAYERS = 16;
+const MAX_NAME_LENGTH = 16;
+// An elimination match still level after this many games goes to the higher seed
+const MAX_ELIMINATION_GAMES = 6;
+
+export class TournamentError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'TournamentError';
+    }
+}
+
+export function createTournament(format, names) {
+    if (!TOURNAMENT_FORMATS.some(candidate => candidate.id === format)) {
+        throw new TournamentError(`Unknown format: ${format}`);
+    }
+
+    const players = names.map(name => String(name).trim().slice(0, MAX_NAME_LENGTH)).filter(name => name !== '');
+    if (players.length < 2) {
+        throw new TournamentError('A tournament needs at least two players');
+    }
+    if (players.length > MAX_PLAYERS) {
+        throw new TournamentError(`A tournament can have at most ${MAX_PLAYERS} players`);
+    }
+    const duplicate = players.find((name, i) => players.indexOf(name) !== i);
+    if (duplicate) {
+        throw new TournamentError(`${duplicate} is on the roster twice`);
+    }
+
+    const tournament = {
+        format: format,
+        players: players,
+        matches: format === 'round-robin' ? createRoundRobin(players.length) : createBracket(players.length),
+        results: [] // { match, game, winner } in the order played, enough to rebuild the tournament
+    };
+    return format === 'elimination' ? advanceBracket(tournament) : tournament;
+}
+
+function createMatch(round, a, b) {
+    const match = { round: round, a: a, b: b, games: [], done: false, winner: null };
+    if (a !== null && b !== null) {
+        match.games = [createGame(a, b), createGame(b, a)];
+    }
+    return match;
+}
+
+function createGame(first, second) {
+    return { seats: { 1: first, 2: second }, winner: null };
+}
+
+// Circle method - one player stays put while the rest rotate, a bye evens out odd rosters
+function createRoundRobin(count) {
+    const ids = Array.from({ length: count }, (_, i) => i);
+    if (count % 2 === 1) ids.push(null);
+
+    const matches = [];
+    for (let round = 0; round < ids.length - 1; round++) {
+        for (let i = 0; i < ids.length / 2; i++) {
+            const a = ids[i];
+            const b = ids[ids.length - 1 - i];
+            if (a !== null && b !== null) matches.push(createMatch(round, a, b));
+        }
+        ids.splice(1, 0, ids.pop());
+    }
+    return matches;
+}
+
+// Seeds 1 and 2 can only meet in the final, and byes go to the top seeds
+function createBracket(count) {
+    let order = [0];
+    while (order.length < count) {
+        const size = order.length * 2;
+        order = order.flatMap(seed => [seed, size - 1 - seed]);
+    }
+
+    const matches = [];
+    for (let i = 0; i < order.length; i += 2) {
+        const b = order[i + 1] < count ? order[i + 1] : null;
+        matches.push({ ...createMatch(0, order[i], b), from: null });
+    }
+
+    // Later rounds are filled in by the winners of the two matches feeding them
+    let roundStart = 0;
+    for (let round = 1, size = order.length / 4; size >= 1; round++, size /= 2) {
+        const feederCount = size * 2;
+        for (let i = 0; i < size; i++) {
+            matches.push({ ...createMatch(round, null, null), from: [roundStart + i * 2, roundStart + i * 2 + 1] });
+        }
+        roundStart += feederCount;
+    }
+    return matches;
+}
+
+// Moves decided winners into the next round and settles byes
+function advanceBracket(tournament) {
+    const matches = tournament.matches;
+    matches.forEach(match => {
+        if (match.from) {
+            const [first, second] = match.from.map(index => matches[index]);
+            if (first.done && match.a === null) match.a = first.winner;
+            if (second.done && match.b === null) match.b = second.winner;
+            if (match.a !== null && match.b !== null && match.games.length === 0) {
+                match.games = [createGame(match.a, match.b), createGame(match.b, match.a)];
+            }
+        }
+        if (!match.done && match.a !== null && match.b === null && match.from === null) {
+            match.done = true; // A bye
+            match.winner = match.a;
+        }
+    });
+    return tournament;
+}
+
+function copyTournament(tournament) {
+    return {
+        ...tournament,
+        matches: tournament.matches.map(match => ({
+            ...match,
+            games: match.games.map(game => ({ ...game, seats: { ...game.seats } }))
+        })),
+        results: tournament.results.slice()
+    };
+}
+
+// Game wins per player in a match, a draw is half a win each
+function getMatchScore(match) {
+    const score = { [match.a]: 0, [match.b]: 0 };
+    match.games.forEach(game => {
+        if (game.winner === 0) {
+            score[match.a] += 0.5;
+            score[match.b] += 0.5;
+        } else if (game.winner !== null) {
+            score[game.seats[game.winner]] += 1;
+        }
+    });
+    return score;
+}
+
+export function recordGameResult(tournament, matchIndex, gameIndex, winner) {
+    const match = tournament.matches[matchIndex];
+    const game = match && match.games[gameIndex];
+    if (!game || game.winner !== null || match.done) {
+        throw new TournamentError(`Game ${gameIndex + 1} of match ${matchIndex + 1} isn't waiting for a result`);
+    }
+    if (![0, 1, 2].includes(winner)) {
+        throw new TournamentError(`Unknown result: ${winner}`);
+    }
+
+    const next = copyTournament(tournament);
+    const nextMatch = next.matches[matchIndex];
+    nextMatch.games[gameIndex].winner = winner;
+    next.results.push({ match: matchIndex, game: gameIndex, winner: winner });
+
+    if (nextMatch.games.some(candidate => candidate.winner === null)) return next;
+
+    const score = getMatchScore(nextMatch);
+    if (score[nextMatch.a] !== score[nextMatch.b]) {
+        nextMatch.done = true;
+        nextMatch.winner = score[nextMatch.a] > score[nextMatch.b] ? nextMatch.a : nextMatch.b;
+    } else if (next.format === 'round-robin') {
+        nextMatch.done = true; // A drawn match
+    } else if (nextMatch.games.length < MAX_ELIMINATION_GAMES) {
+        // Level - play on with the seats swapped again until someone is ahead
+        const last = nextMatch.games[nextMatch.games.length - 1];
+        nextMatch.games.push(createGame(last.seats[2], last.seats[1]));
+    } else {
+        nextMatch.done = true;
+        nextMatch.winner = Math.min(nextMatch.a, nextMatch.b);
+    }
+    return next.format === 'elimination' ? advanceBracket(next) : next;
+}
+
+// The next game to play as { match, game, seats }, or null once the tournament is over
+export function getNextGame(tournament) {
+    for (let matchIndex = 0; matchIndex < tournament.matches.length; matchIndex++) {
+        const match = tournament.matches[matchIndex];
+        if (match.done) continue;
+
+        const gameIndex = match.games.findIndex(game => game.winner === null);
+        if (gameIndex !== -1) {
+            return { match: matchIndex, game: gameIndex, seats: match.games[gameIndex].seats };
+        }
+    }
+    return null;
+}
+
+export function isTournamentOver(tournament) {
+    return tournament.matches.every(match => match.done);
+}
+
+export function countGames(tournament) {
+    return tournament.matches.reduce((total, match) => total + match.games.length, 0);
+}
+
+// Standings, best first. Round robin ranks by points (win 1, draw 1/2), then points between
+// the tied players, then Sonneborn-Berger (the points of beaten opponents plus half of the
+// drawn ones), then wins. Elimination ranks by the round reached, then points
+export function getStandings(tournament) {
+    const rows = tournament.players.map((name, player) => ({
+        player: player,
+        name: name,
+        played: 0,
+        wins: 0,
+        draws: 0,
+        losses: 0,
+        points: 0,
+        headToHead: 0,
+        tiebreak: 0, // Sonneborn-Berger in round robins, the round reached in elimination
+        rank: 0
+    }));
+
+    tournament.matches.forEach(match => {
+        match.games.forEach(game => {
+            if (game.winner === null) return;
+            [1, 2].forEach(seat => {
+                const row = rows[game.seats[seat]];
+                row.played++;
+                if (game.winner === 0) {
+                    row.draws++;
+                    row.points += 0.5;
+                } else if (game.winner === seat) {
+                    row.wins++;
+                    row.points += 1;
+                } else {
+                    row.losses++;
+                }
+            });
+        });
+    });
+
+    if (tournament.format === 'round-robin') {
+        rankRoundRobin(tournament, rows);
+    } else {
+        rankElimination(tournament, rows);
+    }
+
+    // Shared ranks only for rows equal on everything that was compared
+    const key = row => [row.points, row.headToHead, row.tiebreak, row.wins].join('/');
+    rows.forEach((row, i) => {
+        row.rank = i > 0 && key(rows[i - 1]) === key(row) ? rows[i - 1].rank : i + 1;
+    });
+    return rows;
+}
+
+function rankRoundRobin(tournament, rows) {
+    // Points from each player's games against each opponent
+    const pointsAgainst = rows.map(() => rows.map(() => 0));
+    tournament.matches.forEach(match => {
+        match.games.forEach(game => {
+            if (game.winner === null) return;
+            [1, 2].forEach(seat => {
+                const earned = game.winner === 0 ? 0.5 : (game.winner === seat ? 1 : 0);
+                pointsAgainst[game.seats[seat]][game.seats[seat === 1 ? 2 : 1]] += earned;
+            });
+        });
+    });
+
+    rows.forEach(row => {
+        row.tiebreak = rows.reduce((total, opponent) => total + opponent.points * pointsAgainst[row.player][opponent.player], 0);
+        row.headToHead = rows
+            .filter(other => other !== row && other.points === row.points)
+            .reduce((total, other) => total + pointsAgainst[row.player][other.player], 0);
+    });
+
+    rows.sort((a, b) => b.points - a.points || b.headToHead - a.headToHead || b.tiebreak - a.tiebreak ||
+        b.wins - a.wins || a.player - b.player);
+}
+
+function rankElimination(tournament, rows) {
+    // Players still in count the round they are waiting in, the champion one past the final
+    tournament.matches.forEach(match => {
+        [match.a, match.b].forEach(player => {
+            if (player !== null) rows[player].tiebreak = Math.max(rows[player].tiebreak, match.round + 1);
+        });
+        if (match.done && match.winner !== null) {
+            rows[match.winner].tiebreak = Math.max(rows[match.winner].tiebreak, match.round + 2);
+        }
+    });
+
+    rows.sort((a, b) => b.tiebreak - a.tiebreak || b.points - a.points || a.player - b.player);
+}
+
+export function getRoundName(tournament, round) {
+    if (tournament.format === 'round-robin') return `Round ${round + 1}`;
+
+    const lastRound = tournament.matches[tournament.matches.length - 1].round;
+    return ['Final', 'Semi-finals', 'Quarter-finals'][lastRound - round] || `Round ${round + 1}`;
+}
+
+// One line per match, e.g. "Ann 1.5 - 0.5 Bob (Ann)" or "Ann - bye"
+export function describeMatch(tournament, match) {
+    const name = player => player === null ? 'TBD' : tournament.players[player];
+    if (match.done && match.b === null) return `${name(match.a)} - bye`;
+    if (match.games.every(game => game.winner === null)) return `${name(match.a)} vs ${name(match.b)}`;
+
+    const score = getMatchScore(match);
+    const result = match.done ? ` (${match.winner === null ? 'drawn' : name(match.winner)})` : '';
+    return `${name(match.a)} ${score[match.a]} - ${score[match.b]} ${name(match.b)}${result}`;
+}
+
+// Plain-text report with the standings and every round, for export
+export function formatTournament(tournament) {
+    const format = TOURNAMENT_FORMATS.find(candidate => candidate.id === tournament.format);
+    const tiebreakName = tournament.format === 'round-robin' ? 'SB' : 'Round';
+    const lines = [
+        `Tournament - ${format.label}, ${tournament.players.length} players`,
+        isTournamentOver(tournament) ? `Winner: ${tournament.players[getStandings(tournament)[0].player]}` : 'In progress',
+        '',
+        `Rank  Name              Played  W  D  L  Points  ${tiebreakName}`
+    ];
+    getStandings(tournament).forEach(row => {
+        lines.push([
+            String(row.rank).padEnd(6),
+            row.name.padEnd(18),
+            String(row.played).padEnd(8),
+            String(row.wins).padEnd(3),
+            String(row.draws).padEnd(3),
+            String(row.losses).padEnd(3),
+            String(row.points).padEnd(8),
+            tournament.format === 'round-robin' ? String(row.tiebreak) : getReachedName(tournament, row)
+        ].join('').trimEnd());
+    });
+
+    let round = null;
+    tournament.matches.forEach(match => {
+        if (match.round !== round) {
+            round = match.round;
+            lines.push('', `${getRoundName(tournament, round)}:`);
+        }
+        lines.push(`  ${describeMatch(tournament, match)}`);
+    });
+    lines.push('');
+    return lines.join('\n');
+}
+
+// How far a player got in an elimination tournament, e.g. "Semi-finals" or "Winner"
+export function getReachedName(tournament, row) {
+    const lastRound = tournament.matches[tournament.matches.length - 1].round;
+    if (row.tiebreak > lastRound + 1) return 'Winner';
+    return row.tiebreak === 0 ? '-' : getRoundName(tournament, row.tiebreak - 1);
+}
+
+// The saved form is just the roster and the results, replayed on load like a game record
+export function serializeTournament(tournament) {
+    return { format: tournament.format, players: tournament.players, results: tournament.results };
+}
+
+export function restoreTournament(saved) {
+    if (!saved || !Array.isArray(saved.players) || !Array.isArray(saved.results)) return null;
+
+    try {
+        return saved.results.reduce(
+            (tournament, result) => recordGameResult(tournament, result.match, result.game, result.winner),
+            createTournament(saved.format, saved.players)
+        );
+    } catch (error) {
+        if (!(error instanceof TournamentError)) throw error;
+        return null; // Doesn't replay - drop it
+    }
+}
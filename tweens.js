@@ -0,0 +1,81 @@
+// Tweens - the timed animations, all advanced by the main render loop in script.js.
+// The scheduler keeps its own clock, which only moves when stepTweens is called: a paused
+// scheduler holds every animation where it is, and a test can step the clock frame by frame.
+// Starting a tween under a name that is already running replaces it.
+
+export function linear(t) {
+    return t;
+}
+
+export function easeInOut(t) {
+    return 0.5 * (1 - Math.cos(Math.PI * t));
+}
+
+// Speeds up like a falling piece
+export function easeIn(t) {
+    return t * t;
+}
+
+let time = 0; // ms on the scheduler clock
+let paused = false;
+const tweens = new Map(); // name -> { start, duration, ease, update, complete }
+
+export function getTweenTime() {
+    return time;
+}
+
+// update(value, elapsed) runs at once and on every step with the eased progress, complete once
+// after the last update. A tween with an Infinity duration runs until it is cancelled
+export function startTween(name, { duration, ease = easeInOut, update, complete = null }) {
+    const tween = { start: time, duration: duration, ease: ease, update: update, complete: complete };
+    tweens.set(name, tween);
+    runTween(name, tween);
+}
+
+export function isTweening(name) {
+    return tweens.has(name);
+}
+
+// Drops a tween where it is, without completing it
+export function cancelTween(name) {
+    tweens.delete(name);
+}
+
+// Jumps a tween to its end and completes it
+export function finishTween(name) {
+    const tween = tweens.get(name);
+    if (!tween) return;
+
+    tween.start = time - tween.duration;
+    runTween(name, tween);
+}
+
+export function pauseTweens() {
+    paused = true;
+}
+
+export function resumeTweens() {
+    paused = false;
+}
+
+// Moves the clock on by delta ms and updates every running tween
+export function stepTweens(delta) {
+    if (paused) return;
+
+    time += delta;
+    // Tweens started or cancelled by an update take effect from the next step
+    [...tweens].forEach(([name, tween]) => {
+        if (tweens.get(name) === tween) runTween(name, tween);
+    });
+}
+
+function runTween(name, tween) {
+    const elapsed = time - tween.start;
+    const progress = Math.min(elapsed / tween.duration, 1);
+    tween.update(tween.ease(progress), elapsed);
+    // The update may have replaced or cancelled this tween
+    if (progress < 1 || tweens.get(name) !== tween) return;
+
+    tweens.delete(name);
+    if (tween.complete) tween.complete();
+}
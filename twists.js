@@ -0,0 +1,55 @@
+// Layer twists for the twist variant - quarter turns of the six outer layers.
+// Names follow the usual cube notation: a face letter turns that face clockwise as seen
+// from outside the cube, a trailing ' turns it anticlockwise (R, R', U, U', ...)
+
+import { coordsToIndex, indexToCoords } from './lines.js';
+
+// Axis (0 x, 1 y, 2 z) and side of each outer layer, as in facelets.js
+const TWIST_FACES = {
+    R: { axis: 0, side: 1 },
+    L: { axis: 0, side: -1 },
+    U: { axis: 1, side: 1 },
+    D: { axis: 1, side: -1 },
+    F: { axis: 2, side: 1 },
+    B: { axis: 2, side: -1 }
+};
+
+export const TWIST_NAMES = Object.keys(TWIST_FACES).flatMap(face => [face, `${face}'`]);
+
+export function inverseTwist(name) {
+    return name.endsWith("'") ? name.slice(0, -1) : `${name}'`;
+}
+
+// Layer and turn direction - direction 1 is a right-handed quarter turn about the positive axis
+export function getTwist(name, size) {
+    const { axis, side } = TWIST_FACES[name[0]];
+    const clockwise = !name.endsWith("'");
+    return {
+        axis: axis,
+        layer: side > 0 ? size - 1 : 0,
+        direction: (clockwise ? -1 : 1) * side
+    };
+}
+
+// [from, to] cell pairs for every cube in the turned layer
+export function getTwistCells(name, size) {
+    const { axis, layer, direction } = getTwist(name, size);
+    const b = (axis + 1) % 3;
+    const c = (axis + 2) % 3;
+    const half = (size - 1) / 2;
+    const pairs = [];
+
+    for (let index = 0; index < size * size * size; index++) {
+        const { x, y, z } = indexToCoords(index, size);
+        const from = [x, y, z];
+        if (from[axis] !== layer) continue;
+
+        // Rotate the centered coordinates a quarter turn in the b-c plane
+        const to = from.slice();
+        to[b] = half - direction * (from[c] - half);
+        to[c] = half + direction * (from[b] - half);
+        pairs.push([index, coordsToIndex(to[0], to[1], to[2], size)]);
+    }
+
+    return pairs;
+}